@@ -76,40 +76,149 @@ export const info = {
 };
 
 export const properties = [
-  /*
+  {
+    type: PROPERTY_TYPE.CHECK,
+    id: "auto-init",
+    options: {
+      initialValue: false,
+    },
+    name: "Auto initialize",
+    desc: "Initialize FMOD on startup with the settings and banks below, instead of from event sheets.",
+  },
+  {
+    type: PROPERTY_TYPE.INTEGER,
+    id: "dsp-buffer-size",
+    options: {
+      initialValue: 1024,
+      minValue: 64,
+    },
+    name: "DSP buffer size",
+    desc: "Length of each DSP buffer in samples. Larger values reduce stutter at the cost of latency.",
+  },
   {
     type: PROPERTY_TYPE.INTEGER,
-    id: "property_id",
+    id: "dsp-buffer-count",
+    options: {
+      initialValue: 4,
+      minValue: 2,
+    },
+    name: "DSP buffer count",
+    desc: "Number of DSP buffers.",
+  },
+  {
+    type: PROPERTY_TYPE.INTEGER,
+    id: "max-channels",
+    options: {
+      initialValue: 1024,
+      minValue: 1,
+    },
+    name: "Max channels",
+    desc: "Maximum number of virtual channels.",
+  },
+  {
+    type: PROPERTY_TYPE.INTEGER,
+    id: "initial-memory",
+    options: {
+      initialValue: 80,
+      minValue: 16,
+    },
+    name: "Initial memory (MB)",
+    desc: "Memory allocated for FMOD on startup, in megabytes.",
+  },
+  {
+    type: PROPERTY_TYPE.COMBO,
+    id: "output-type",
+    options: {
+      initialValue: "auto",
+      items: [
+        { auto: "Auto-detect" },
+        { nosound: "No sound" },
+        { "nosound-nrt": "No sound (non-realtime)" },
+      ],
+    },
+    name: "Output type",
+    desc: "Audio output. No sound is useful for automated tests, non-realtime enables offline rendering.",
+  },
+  {
+    type: PROPERTY_TYPE.COMBO,
+    id: "speaker-mode",
+    options: {
+      initialValue: "default",
+      items: [
+        { default: "Default" },
+        { stereo: "Stereo" },
+        { "5point1": "5.1" },
+        { "7point1": "7.1" },
+      ],
+    },
+    name: "Speaker mode",
+    desc: "Speaker mode of the mixer.",
+  },
+  {
+    type: PROPERTY_TYPE.INTEGER,
+    id: "sample-rate",
     options: {
       initialValue: 0,
-      interpolatable: false,
-
-      // minValue: 0, // omit to disable
-      // maxValue: 100, // omit to disable
-
-      // for type combo only
-      // items: [
-      //   {itemId1: "item name1" },
-      //   {itemId2: "item name2" },
-      // ],
-
-      // dragSpeedMultiplier: 1, // omit to disable
-
-      // for type object only
-      // allowedPluginIds: ["Sprite", "<world>"],
-
-      // for type link only
-      // linkCallback: function(instOrObj) {},
-      // linkText: "Link Text",
-      // callbackType:
-      //   "for-each-instance"
-      //   "once-for-type"
-
-      // for type info only
-      // infoCallback: function(inst) {},
+      minValue: 0,
+    },
+    name: "Sample rate",
+    desc: "Mixer sample rate in Hz. 0 uses the output device rate.",
+  },
+  {
+    type: PROPERTY_TYPE.CHECK,
+    id: "preload-sample-data",
+    options: {
+      initialValue: false,
+    },
+    name: "Preload sample data",
+    desc: "Load an event's sample data as soon as an instance is created, so it starts without latency.",
+  },
+  {
+    type: PROPERTY_TYPE.INTEGER,
+    id: "sample-data-budget",
+    options: {
+      initialValue: 0,
+      minValue: 0,
+    },
+    name: "Sample data budget (MB)",
+    desc: "Memory limit in megabytes for event sample data loaded without pinning. Least recently played events that are not playing are unloaded when it is exceeded. Bank and pinned sample data are not counted. 0 for no limit.",
+  },
+  {
+    type: PROPERTY_TYPE.INTEGER,
+    id: "savegame-sync-interval",
+    options: {
+      initialValue: 0,
+      minValue: 0,
     },
-    name: "Property Name",
-    desc: "Property Description",
-  }
-  */
+    name: "Savegame sync interval (ms)",
+    desc: "The audio state is sent to the runtime for savegames whenever it changes. This also resends it periodically so timeline positions stay current, 0 disables the periodic refresh.",
+  },
+  {
+    type: PROPERTY_TYPE.LONGTEXT,
+    id: "banks",
+    options: {
+      initialValue: "",
+    },
+    name: "Banks",
+    desc: "One bank project file per line, followed by optional flags: preload, non-blocking, load-sample-data. e.g. 'Master.bank preload load-sample-data'.",
+  },
+  {
+    type: PROPERTY_TYPE.CHECK,
+    id: "bank-cache",
+    options: {
+      initialValue: false,
+    },
+    name: "Cache banks",
+    desc: "Keep downloaded banks in browser storage so later sessions load them without downloading. The cache is cleared when the project version changes.",
+  },
+  {
+    type: PROPERTY_TYPE.INTEGER,
+    id: "bank-cache-max-size",
+    options: {
+      initialValue: 0,
+      minValue: 0,
+    },
+    name: "Bank cache size (MB)",
+    desc: "Maximum size of the bank cache in megabytes, oldest banks are evicted first. 0 for no limit.",
+  },
 ];
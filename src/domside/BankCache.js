@@ -0,0 +1,212 @@
+/**
+ * BankCache - Persistent storage for fetched bank files
+ *
+ * Stores bank bytes in the browser Cache API so later sessions can skip the download.
+ * Entries are keyed by URL and tagged with a version (usually the project version)
+ * and the content hash reported by the server (ETag), so a new build invalidates them.
+ * Pass the current hash to get() to catch a file replaced within the same version;
+ * without it only the version is checked. revalidate() does the same check without
+ * reading the entry, e.g. in the background after serving a cached copy.
+ *
+ * Usage:
+ *   const cache = new BankCache({ version: "1.0.0.0", maxSize: 256 * 1024 * 1024 });
+ *   await cache.invalidate(); // drop entries from other versions
+ *
+ *   let bytes = await cache.get(url);
+ *   if (bytes) {
+ *     headEtag(url).then((etag) => cache.revalidate(url, etag));
+ *   } else {
+ *     bytes = await download(url);
+ *     await cache.put(url, bytes, etag);
+ *   }
+ */
+
+const VERSION_HEADER = "X-FMOD-Cache-Version";
+const HASH_HEADER = "X-FMOD-Content-Hash";
+const TIME_HEADER = "X-FMOD-Cached-At";
+
+export default class BankCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Cache storage name
+   * @param {string} options.version - Entries stored under another version are ignored
+   * @param {number} options.maxSize - Maximum cache size in bytes, 0 for no limit
+   */
+  constructor({ name = "fmod-banks", version = "", maxSize = 0 } = {}) {
+    this.name = name;
+    this.version = String(version || "");
+    this.maxSize = maxSize || 0;
+    this._cache = null;
+  }
+
+  /**
+   * Whether persistent storage is available (needs a secure context)
+   * @returns {boolean}
+   */
+  get isAvailable() {
+    return typeof caches !== "undefined";
+  }
+
+  async _open() {
+    if (!this.isAvailable) return null;
+    if (!this._cache) {
+      this._cache = await caches.open(this.name);
+    }
+    return this._cache;
+  }
+
+  _key(url) {
+    return new URL(url, globalThis.location?.href).href;
+  }
+
+  /**
+   * Read cached bank bytes
+   * @param {string} url - Bank URL
+   * @param {string} hash - Expected content hash, if known
+   * @returns {Promise<Int8Array|null>} Cached bytes, or null on a miss
+   */
+  async get(url, hash) {
+    const cache = await this._open();
+    if (!cache) return null;
+
+    const key = this._key(url);
+    const response = await cache.match(key);
+    if (!response) return null;
+
+    if (
+      response.headers.get(VERSION_HEADER) !== this.version ||
+      (hash && response.headers.get(HASH_HEADER) !== hash)
+    ) {
+      await cache.delete(key);
+      return null;
+    }
+
+    return new Int8Array(await response.arrayBuffer());
+  }
+
+  /**
+   * Drop an entry whose content hash no longer matches the server's
+   * @param {string} url - Bank URL
+   * @param {string} hash - Current content hash, nothing is checked when empty
+   * @returns {Promise<boolean>} True if the entry was dropped
+   */
+  async revalidate(url, hash) {
+    const cache = await this._open();
+    if (!cache || !hash) return false;
+
+    const key = this._key(url);
+    const response = await cache.match(key);
+    if (!response || response.headers.get(HASH_HEADER) === hash) return false;
+    return cache.delete(key);
+  }
+
+  /**
+   * Store bank bytes, evicting the oldest entries when over maxSize
+   * @param {string} url - Bank URL
+   * @param {Int8Array} bytes - Bank file contents
+   * @param {string} hash - Content hash (e.g. the response ETag)
+   * @returns {Promise<boolean>} True if the bank was stored
+   */
+  async put(url, bytes, hash = "") {
+    const cache = await this._open();
+    if (!cache) return false;
+    if (this.maxSize && bytes.byteLength > this.maxSize) return false;
+
+    if (this.maxSize) {
+      await this._evictToFit(this.maxSize - bytes.byteLength, url);
+    }
+
+    await cache.put(
+      this._key(url),
+      new Response(bytes, {
+        headers: {
+          "Content-Type": "application/octet-stream",
+          "Content-Length": String(bytes.byteLength),
+          [VERSION_HEADER]: this.version,
+          [HASH_HEADER]: hash || "",
+          [TIME_HEADER]: String(Date.now()),
+        },
+      })
+    );
+    return true;
+  }
+
+  /**
+   * Remove one entry, or every entry when no URL is given
+   * @param {string} url - Bank URL
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async evict(url) {
+    const cache = await this._open();
+    if (!cache) return 0;
+
+    if (url) {
+      return (await cache.delete(this._key(url))) ? 1 : 0;
+    }
+
+    const keys = await cache.keys();
+    await Promise.all(keys.map((request) => cache.delete(request)));
+    return keys.length;
+  }
+
+  /**
+   * Remove entries stored under another version
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async invalidate() {
+    const entries = await this.getEntries();
+    const stale = entries.filter((entry) => entry.version !== this.version);
+    await Promise.all(stale.map((entry) => this.evict(entry.url)));
+    return stale.length;
+  }
+
+  /**
+   * List cached entries
+   * @returns {Promise<Array<{url: string, size: number, version: string, hash: string, cachedAt: number}>>}
+   */
+  async getEntries() {
+    const cache = await this._open();
+    if (!cache) return [];
+
+    const entries = [];
+    for (const request of await cache.keys()) {
+      const response = await cache.match(request);
+      if (!response) continue;
+      entries.push({
+        url: request.url,
+        size: Number(response.headers.get("Content-Length")) || 0,
+        version: response.headers.get(VERSION_HEADER) || "",
+        hash: response.headers.get(HASH_HEADER) || "",
+        cachedAt: Number(response.headers.get(TIME_HEADER)) || 0,
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Get the total size of the cache
+   * @returns {Promise<{entries: number, size: number, maxSize: number}>}
+   */
+  async getSize() {
+    const entries = await this.getEntries();
+    return {
+      entries: entries.length,
+      size: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxSize: this.maxSize,
+    };
+  }
+
+  async _evictToFit(budget, url) {
+    const key = this._key(url);
+    const entries = (await this.getEntries())
+      .filter((entry) => entry.url !== key)
+      .sort((a, b) => a.cachedAt - b.cachedAt);
+
+    let size = entries.reduce((sum, entry) => sum + entry.size, 0);
+    for (const entry of entries) {
+      if (size <= budget) break;
+      await this.evict(entry.url);
+      size -= entry.size;
+    }
+  }
+}
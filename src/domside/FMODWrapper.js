@@ -18,16 +18,327 @@
  *
  *   // Control by ID (affects specific instance)
  *   fmod.stopEvent(null, id, true, true);
+ *
+ *   // Control by tag selector (see parseTagQuery)
+ *   fmod.stopEvent(null, 'enemy & !boss', true, true);
+ *
+ *   // Hierarchical tags: "sfx/ui" covers "sfx/ui/click", new instances inherit the node state
+ *   fmod.setTagVolume('sfx/ui', 0.5);
  */
 
 let FMOD = null;
 
+// Callback type names accepted by subscribeEventCallbacks -> FMOD constant names
+const EVENT_CALLBACK_TYPES = {
+  created: "STUDIO_EVENT_CALLBACK_CREATED",
+  destroyed: "STUDIO_EVENT_CALLBACK_DESTROYED",
+  starting: "STUDIO_EVENT_CALLBACK_STARTING",
+  started: "STUDIO_EVENT_CALLBACK_STARTED",
+  restarted: "STUDIO_EVENT_CALLBACK_RESTARTED",
+  stopped: "STUDIO_EVENT_CALLBACK_STOPPED",
+  "start-failed": "STUDIO_EVENT_CALLBACK_START_FAILED",
+  "sound-played": "STUDIO_EVENT_CALLBACK_SOUND_PLAYED",
+  "sound-stopped": "STUDIO_EVENT_CALLBACK_SOUND_STOPPED",
+  "real-to-virtual": "STUDIO_EVENT_CALLBACK_REAL_TO_VIRTUAL",
+  "virtual-to-real": "STUDIO_EVENT_CALLBACK_VIRTUAL_TO_REAL",
+  "timeline-marker": "STUDIO_EVENT_CALLBACK_TIMELINE_MARKER",
+  "timeline-beat": "STUDIO_EVENT_CALLBACK_TIMELINE_BEAT",
+  "nested-timeline-beat": "STUDIO_EVENT_CALLBACK_NESTED_TIMELINE_BEAT",
+};
+
+// Easing curves for tweens, mapping progress (0-1) to eased progress (0-1)
+const EASING_CURVES = {
+  linear: (t) => t,
+  "ease-in": (t) => t * t,
+  "ease-out": (t) => t * (2 - t),
+  "ease-in-out": (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  exponential: (t) => (t === 0 ? 0 : Math.pow(2, 10 * (t - 1))),
+  "exponential-out": (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+};
+
+// Output type names accepted by initialize -> FMOD constant names
+const OUTPUT_TYPES = {
+  auto: "OUTPUTTYPE_AUTODETECT",
+  nosound: "OUTPUTTYPE_NOSOUND",
+  "nosound-nrt": "OUTPUTTYPE_NOSOUND_NRT",
+  wavwriter: "OUTPUTTYPE_WAVWRITER",
+  "wavwriter-nrt": "OUTPUTTYPE_WAVWRITER_NRT",
+  audioworklet: "OUTPUTTYPE_AUDIOWORKLET",
+  webaudio: "OUTPUTTYPE_WEBAUDIO",
+};
+
+// Speaker mode names accepted by initialize -> FMOD constant names
+const SPEAKER_MODES = {
+  default: "SPEAKERMODE_DEFAULT",
+  raw: "SPEAKERMODE_RAW",
+  mono: "SPEAKERMODE_MONO",
+  stereo: "SPEAKERMODE_STEREO",
+  quad: "SPEAKERMODE_QUAD",
+  surround: "SPEAKERMODE_SURROUND",
+  5.1: "SPEAKERMODE_5POINT1",
+  7.1: "SPEAKERMODE_7POINT1",
+  "7.1.4": "SPEAKERMODE_7POINT1POINT4",
+  // Editor combo IDs, which can't contain dots
+  "5point1": "SPEAKERMODE_5POINT1",
+  "7point1": "SPEAKERMODE_7POINT1",
+};
+
+// Victim selection policies accepted by setConcurrencyLimit
+const STEAL_POLICIES = [
+  "refuse",
+  "steal-oldest",
+  "steal-quietest",
+  "steal-furthest",
+];
+
+// Per-instance event properties, reset when a pooled instance is recycled
+const EVENT_PROPERTIES = [
+  "STUDIO_EVENT_PROPERTY_CHANNELPRIORITY",
+  "STUDIO_EVENT_PROPERTY_SCHEDULE_DELAY",
+  "STUDIO_EVENT_PROPERTY_SCHEDULE_LOOKAHEAD",
+  "STUDIO_EVENT_PROPERTY_MINIMUM_DISTANCE",
+  "STUDIO_EVENT_PROPERTY_MAXIMUM_DISTANCE",
+  "STUDIO_EVENT_PROPERTY_COOLDOWN",
+];
+
+// Core reverb instances an event instance can send to (FMOD_REVERB_MAXINSTANCES)
+const REVERB_INSTANCE_COUNT = 4;
+
+// Wrapper methods that renderOffline steps are allowed to call
+const OFFLINE_RENDER_METHODS = [
+  "startOneTimeEvent",
+  "instantiateEvent",
+  "startEvent",
+  "startEventAtPosition",
+  "startEventWhenReady",
+  "stopEvent",
+  "stopAllEvents",
+  "setEventParameter",
+  "setEventParameterWithLabel",
+  "setGlobalParameter",
+  "setGlobalParameterWithLabel",
+  "tweenEventParameter",
+  "tweenGlobalParameter",
+  "setEventPaused",
+  "setConcurrencyLimit",
+  "setThrottle",
+  "setTagPaused",
+  "setTagVolume",
+  "setTagMuted",
+  "setEventTimelinePosition",
+  "setEventVolume",
+  "setEventPitch",
+  "fadeEventVolume",
+  "setEvent3DAttributes",
+  "setListener3DAttributes",
+  "setBusMuted",
+  "setBusVolume",
+  "setBusPaused",
+  "fadeBusVolume",
+  "setVCAVolume",
+  "fadeVCAVolume",
+];
+
+/**
+ * Encode interleaved float samples as a 16-bit PCM WAV file
+ * @param {Float32Array} samples - Interleaved samples (-1 to 1)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channels - Number of channels
+ * @returns {ArrayBuffer} WAV file data
+ */
+function encodeWAV(samples, sampleRate, channels) {
+  const dataSize = samples.length * 2;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) {
+      view.setUint8(offset + i, str.charCodeAt(i));
+    }
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * 2, true); // byte rate
+  view.setUint16(32, channels * 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(
+      44 + i * 2,
+      sample < 0 ? sample * 0x8000 : sample * 0x7fff,
+      true
+    );
+  }
+
+  return buffer;
+}
+
+/**
+ * Parse a tag selector into a query tree
+ *
+ * Syntax:
+ *   enemy            instances tagged "enemy"
+ *   sfx/ui           instances tagged "sfx/ui" or a descendant such as "sfx/ui/click"
+ *   enemy & !boss    AND / NOT (adjacent terms are ANDed too: "enemy !boss")
+ *   music | ambience OR, AND binds tighter; use parentheses to group
+ *   footstep:*       wildcards: * any characters, ? one character
+ *   #12              instance ID
+ *   *                every instance
+ *   "a&b" or a\&b    quotes and backslashes make & | ! ( ) # * ? and spaces literal
+ *
+ * @param {string} selector - Tag selector
+ * @returns {Object} Query node: { type: "tag"|"wildcard"|"id"|"all"|"and"|"or"|"not", ... }
+ * @throws {Error} On syntax errors
+ */
+function parseTagQuery(selector) {
+  const tokens = [];
+  const isSpace = (char) => /\s/.test(char);
+  const isOperator = (char) => "&|!()".includes(char);
+  const idPattern = /#(\d+)/y;
+
+  let i = 0;
+  while (i < selector.length) {
+    const char = selector[i];
+    if (isSpace(char)) {
+      i++;
+      continue;
+    }
+    if (isOperator(char)) {
+      tokens.push({ op: char });
+      i++;
+      continue;
+    }
+    idPattern.lastIndex = i;
+    const idMatch = idPattern.exec(selector);
+    if (idMatch) {
+      tokens.push({ id: Number(idMatch[1]) });
+      i = idPattern.lastIndex;
+      continue;
+    }
+
+    // A word runs to the next space or operator, quoted and escaped characters are literal
+    let word = "";
+    let pattern = "";
+    let wildcard = false;
+    const literal = (c) => {
+      word += c;
+      pattern += c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    };
+    while (
+      i < selector.length &&
+      !isSpace(selector[i]) &&
+      !isOperator(selector[i])
+    ) {
+      const c = selector[i];
+      if (c === "\\" && i + 1 < selector.length) {
+        literal(selector[i + 1]);
+        i += 2;
+      } else if (c === '"' || c === "'") {
+        const quoteStart = i;
+        i++;
+        while (i < selector.length && selector[i] !== c) {
+          if (selector[i] === "\\" && i + 1 < selector.length) i++;
+          literal(selector[i]);
+          i++;
+        }
+        if (i >= selector.length) {
+          throw new Error(
+            `Unterminated quote at ${quoteStart} in "${selector}"`
+          );
+        }
+        i++;
+      } else if (c === "*" || c === "?") {
+        word += c;
+        pattern += c === "*" ? ".*" : ".";
+        wildcard = true;
+        i++;
+      } else {
+        literal(c);
+        i++;
+      }
+    }
+    tokens.push({ word, pattern: wildcard ? pattern : null });
+  }
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (op) => peek() && peek().op === op;
+  const fail = (expected) => {
+    throw new Error(
+      `Expected ${expected} ${
+        peek() ? `at token ${pos + 1}` : "at end"
+      } in "${selector}"`
+    );
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOp("|")) {
+      pos++;
+      node = { type: "or", left: node, right: parseAnd() };
+    }
+    return node;
+  };
+  const parseAnd = () => {
+    let node = parseUnary();
+    for (;;) {
+      if (isOp("&")) {
+        pos++;
+      } else if (!peek() || isOp("|") || isOp(")")) {
+        return node;
+      }
+      node = { type: "and", left: node, right: parseUnary() };
+    }
+  };
+  const parseUnary = () => {
+    if (isOp("!")) {
+      pos++;
+      return { type: "not", expr: parseUnary() };
+    }
+    if (isOp("(")) {
+      pos++;
+      const node = parseOr();
+      if (!isOp(")")) fail('")"');
+      pos++;
+      return node;
+    }
+    const token = peek();
+    if (!token || token.op) fail("a tag");
+    pos++;
+    if (token.id !== undefined) return { type: "id", id: token.id };
+    if (token.pattern === ".*") return { type: "all" };
+    if (token.pattern) {
+      return { type: "wildcard", regex: new RegExp(`^${token.pattern}$`) };
+    }
+    return { type: "tag", tag: token.word };
+  };
+
+  if (tokens.length === 0) return { type: "all" };
+  const root = parseOr();
+  if (pos < tokens.length) fail("an operator");
+  return root;
+}
+
+// Pure helpers, exported for the unit tests
+export { EASING_CURVES, encodeWAV, parseTagQuery };
+
 export default class FMODWrapper {
   constructor(_FMOD) {
     // FMOD system references
     this.system = null;
     this.coreSystem = null;
     this.initialized = false;
+    this.offlineRendering = false;
+    this.initSettings = {};
     FMOD = _FMOD;
 
     // Bank management
@@ -36,6 +347,12 @@ export default class FMODWrapper {
     // Event instance tracking
     this.instances = new Map(); // instanceId -> { instance, name, tags: Set, released }
     this.tagIndex = new Map(); // tag -> Set of instanceIds
+    this.tagDescendantCounts = new Map(); // tag node -> number of indexed tags below it
+    this.tagQueryCache = new Map(); // selector -> parsed query (null if invalid)
+    this.maxTagQueryCacheSize = 256;
+
+    // Mixing state per tag node ("sfx/ui"), inherited by descendant tags
+    this.tagStates = new Map(); // tagPath -> { paused, volume, muted }
     this.nextInstanceId = 1;
 
     // Pending release queue - instances to stop/release on next update
@@ -48,6 +365,53 @@ export default class FMODWrapper {
     this.eventCallHistory = []; // Array of cycles, each cycle is an array of calls
     this.currentCycleCalls = [];
     this.maxCyclesStored = 5;
+
+    // Event callback subscriptions
+    this.callbackSubscriptions = new Map(); // subscriptionId -> { name, tag, mask }
+    this.nextSubscriptionId = 1;
+    this.pendingCallbacks = []; // Callback infos waiting to be dispatched after update
+    this.onEventCallback = null; // (info) => void, set by the owner to forward callbacks
+
+    // Tweens driven by update()
+    this.tweens = new Map(); // key -> { from, to, duration, startTime, ease, apply, resolve, promise }
+    this.parameterIds = new Map(); // parameter name -> ID, for tween keys
+
+    // Mixer state touched through the wrapper, saved by serializeState
+    this.trackedGlobalParameters = new Map(); // parameterKey -> { param, isId }
+    this.trackedBuses = new Set(); // bus paths
+    this.trackedVCAs = new Set(); // VCA paths
+
+    // Sample data budget (LRU eviction of loaded event sample data)
+    this.sampleDataBudget = 0; // bytes, 0 disables
+    this.sampleDataCheckInterval = 1000; // ms between budget checks in update()
+    this.loadedSampleData = new Map(); // eventPath -> { refs, pins, size, lastUsed }
+    this.evictedSampleDataLoads = new Map(); // eventPath -> loads undone by eviction, their unloads are no-ops
+    this.onSampleDataEvicted = null; // (info) => void, set by the owner to report evictions
+    this._lastSampleDataCheck = 0;
+    this._sampleDataOverBudget = false;
+    this._sampleDataLoadQueue = Promise.resolve(); // loads and unloads run one at a time so each load is measured alone
+
+    // Concurrency limits enforced by instantiateEvent
+    this.concurrencyLimits = new Map(); // "scope:target" -> { scope, target, max, policy }
+    this.onConcurrencyLimit = null; // (info) => void, set by the owner to report stolen/refused instances
+
+    // Retrigger cooldowns and start-rate throttles
+    this.throttles = new Map(); // "scope:target" -> { scope, target, cooldown, maxStarts, window, ... }
+    this.throttleReportInterval = 1000; // ms between throttle reports
+    this.onThrottleReport = null; // (report) => void, set by the owner to report throttled starts
+    this._lastThrottleReport = 0;
+
+    // Stopped instances kept alive for reuse, per event path
+    this.instancePools = new Map(); // eventPath -> { size, prewarm, idle, returning, created, reused, released }
+    this._pooledInstanceDefaults = new WeakMap(); // instance -> { reverbLevels, listenerMask } read at creation
+
+    // Sample data preloading when instances are created
+    this.preloadSampleDataOnInstantiate = false;
+    this.onInstanceReady = null; // (info) => void, set by the owner to report preloaded instances
+
+    // Simulated clock used while rendering offline (null when realtime)
+    this._offlineTime = null;
+    this.renderingOffline = false; // the owner must not update FMOD while true
   }
 
   /**
@@ -57,6 +421,15 @@ export default class FMODWrapper {
    * @param {number} options.dspBufferSize - DSP buffer size (default: 512)
    * @param {number} options.numBuffers - Number of buffers (default: 2)
    * @param {Object} options.advancedSettings - Advanced FMOD settings
+   * @param {string|number} options.outputType - Output type name (auto, nosound, nosound-nrt, ...) or FMOD constant (default: auto)
+   * @param {string|number} options.speakerMode - Speaker mode name (default, stereo, 5.1, 7.1, ...) or FMOD constant (default: default)
+   * @param {number} options.sampleRate - Mixer sample rate, 0 for the driver rate (default: 0)
+   * @param {string|Array<string>|number} options.studioInitFlags - Studio init flag names (e.g. 'SYNCHRONOUS_UPDATE') or mask
+   * @param {string|Array<string>|number} options.coreInitFlags - Core init flag names (e.g. '3D_RIGHTHANDED') or mask
+   * @param {number} options.dopplerScale - 3D doppler scale (default: 1)
+   * @param {number} options.distanceFactor - 3D units per meter (default: 1)
+   * @param {number} options.rolloffScale - 3D rolloff scale (default: 1)
+   * @param {boolean} options.offlineRendering - Shorthand for the nosound-nrt output, for renderOffline (default: false)
    * @returns {Promise} Resolves when FMOD is initialized
    */
   initialize(options = {}) {
@@ -65,8 +438,27 @@ export default class FMODWrapper {
       dspBufferSize = 512,
       numBuffers = 2,
       advancedSettings = {},
+      offlineRendering = false,
+      sampleRate = 0,
+      dopplerScale = 1,
+      distanceFactor = 1,
+      rolloffScale = 1,
     } = options;
 
+    const outputType = this._resolveConstant(
+      OUTPUT_TYPES,
+      offlineRendering ? "nosound-nrt" : options.outputType || "auto"
+    );
+    const speakerMode = this._resolveConstant(
+      SPEAKER_MODES,
+      options.speakerMode || "default"
+    );
+    let studioInitFlags = this._resolveFlags(
+      options.studioInitFlags,
+      "STUDIO_INIT_"
+    );
+    const coreInitFlags = this._resolveFlags(options.coreInitFlags, "INIT_");
+
     return new Promise((resolve, reject) => {
       if (this.initialized) {
         resolve();
@@ -108,6 +500,24 @@ export default class FMODWrapper {
       }
       this.coreSystem = outval.val;
 
+      // Select output before querying the driver
+      if (outputType !== null) {
+        result = this.coreSystem.setOutput(outputType);
+        if (result !== FMOD.OK) {
+          reject(
+            new Error(`Failed to set output type: ${FMOD.ErrorString(result)}`)
+          );
+          return;
+        }
+      }
+      const nonRealtime =
+        outputType === FMOD.OUTPUTTYPE_NOSOUND_NRT ||
+        outputType === FMOD.OUTPUTTYPE_WAVWRITER_NRT;
+      if (nonRealtime) {
+        // Non-realtime output mixes one block per update, Studio must follow
+        studioInitFlags |= FMOD.STUDIO_INIT_SYNCHRONOUS_UPDATE;
+      }
+
       // Configure DSP buffer
       result = this.coreSystem.setDSPBufferSize(dspBufferSize, numBuffers);
       if (result !== FMOD.OK) {
@@ -116,12 +526,23 @@ export default class FMODWrapper {
         );
       }
 
-      // Set software format based on driver info
-      result = this.coreSystem.getDriverInfo(0, null, null, outval, null, null);
-      if (result === FMOD.OK) {
+      // Set software format, using the driver rate unless one is given
+      let rate = sampleRate;
+      if (!rate) {
+        result = this.coreSystem.getDriverInfo(
+          0,
+          null,
+          null,
+          outval,
+          null,
+          null
+        );
+        if (result === FMOD.OK) rate = outval.val;
+      }
+      if (rate || speakerMode !== FMOD.SPEAKERMODE_DEFAULT) {
         result = this.coreSystem.setSoftwareFormat(
-          outval.val,
-          FMOD.SPEAKERMODE_DEFAULT,
+          rate || 48000,
+          speakerMode,
           0
         );
         if (result !== FMOD.OK) {
@@ -152,8 +573,8 @@ export default class FMODWrapper {
       // Initialize
       result = this.system.initialize(
         maxChannels,
-        FMOD.STUDIO_INIT_NORMAL,
-        FMOD.INIT_NORMAL,
+        studioInitFlags,
+        coreInitFlags,
         null
       );
       if (result !== FMOD.OK) {
@@ -163,11 +584,128 @@ export default class FMODWrapper {
         return;
       }
 
+      result = this.coreSystem.set3DSettings(
+        dopplerScale,
+        distanceFactor,
+        rolloffScale
+      );
+      if (result !== FMOD.OK) {
+        console.warn(`Failed to set 3D settings: ${FMOD.ErrorString(result)}`);
+      }
+
+      this.initSettings = {
+        maxChannels,
+        studioInitFlags,
+        coreInitFlags,
+      };
+      this.offlineRendering = nonRealtime;
       this.initialized = true;
       resolve();
     });
   }
 
+  /**
+   * Get the settings FMOD actually runs with
+   * @returns {Object|null} Effective settings or null if not initialized
+   */
+  getInitSettings() {
+    if (!this.initialized) return null;
+
+    const out = {};
+    const out2 = {};
+    const out3 = {};
+    const settings = {
+      outputType: null,
+      sampleRate: null,
+      speakerMode: null,
+      rawSpeakers: null,
+      dspBufferSize: null,
+      numBuffers: null,
+      dopplerScale: null,
+      distanceFactor: null,
+      rolloffScale: null,
+      offlineRendering: this.offlineRendering,
+      ...this.initSettings,
+    };
+
+    if (this.coreSystem.getOutput(out) === FMOD.OK) {
+      settings.outputType = this._lookupConstantName(OUTPUT_TYPES, out.val);
+    }
+    if (this.coreSystem.getSoftwareFormat(out, out2, out3) === FMOD.OK) {
+      settings.sampleRate = out.val;
+      settings.speakerMode = this._lookupConstantName(SPEAKER_MODES, out2.val);
+      settings.rawSpeakers = out3.val;
+    }
+    if (this.coreSystem.getDSPBufferSize(out, out2) === FMOD.OK) {
+      settings.dspBufferSize = out.val;
+      settings.numBuffers = out2.val;
+    }
+    if (this.coreSystem.get3DSettings(out, out2, out3) === FMOD.OK) {
+      settings.dopplerScale = out.val;
+      settings.distanceFactor = out2.val;
+      settings.rolloffScale = out3.val;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Resolve a named FMOD constant (e.g. output type).
+   * Numbers are accepted if they are one of the table's constant values,
+   * otherwise they are read as names (so 5.1 is the "5.1" speaker mode).
+   * @private
+   * @returns {number|null} Constant value or null if unknown
+   */
+  _resolveConstant(names, value) {
+    if (
+      typeof value === "number" &&
+      Object.values(names).some((constName) => FMOD[constName] === value)
+    ) {
+      return value;
+    }
+    const constName = names[String(value).toLowerCase()];
+    if (!constName || typeof FMOD[constName] !== "number") {
+      console.warn(`Unknown or unsupported FMOD setting "${value}"`);
+      return null;
+    }
+    return FMOD[constName];
+  }
+
+  /**
+   * Find the name of an FMOD constant value
+   * @private
+   */
+  _lookupConstantName(names, value) {
+    for (const [name, constName] of Object.entries(names)) {
+      if (FMOD[constName] === value) return name;
+    }
+    return value;
+  }
+
+  /**
+   * Combine init flag names (with or without prefix) into a mask
+   * @private
+   */
+  _resolveFlags(flags, prefix) {
+    if (typeof flags === "number") return flags;
+
+    const list = Array.isArray(flags)
+      ? flags
+      : String(flags || "").split(/[\s|,]+/);
+    let mask = 0;
+    for (const flag of list) {
+      const name = flag.trim().toUpperCase();
+      if (!name) continue;
+      const constName = name.startsWith(prefix) ? name : prefix + name;
+      if (typeof FMOD[constName] === "number") {
+        mask |= FMOD[constName];
+      } else {
+        console.warn(`Unknown FMOD init flag "${flag}"`);
+      }
+    }
+    return mask;
+  }
+
   /**
    * Update FMOD - must be called regularly (e.g., every frame)
    */
@@ -178,12 +716,26 @@ export default class FMODWrapper {
       // Clean up released/stopped instances BEFORE updating
       // This prevents FMOD from trying to process deleted handles
 
+      // Advance tweens so new values are applied in this update
+      this._updateTweens();
+
       // Update FMOD
       this.system.update();
 
       // Process pending releases from previous tick
       this._processPendingReleases();
       this._cleanupInstances();
+
+      // Recycle pooled instances that finished stopping
+      this._updateInstancePools();
+
+      // Evict least recently used sample data when over budget
+      this._checkSampleDataBudget();
+
+      this._reportThrottles();
+
+      // Dispatch callbacks fired during the update
+      this._flushEventCallbacks();
     } catch (error) {
       console.error("FMOD [update]: Critical error in update cycle:", error);
 
@@ -227,7 +779,7 @@ export default class FMODWrapper {
    * @private
    */
   _processPendingReleases() {
-    for (const { instance, stopMode } of this.pendingRelease) {
+    for (const { instance, stopMode, name } of this.pendingRelease) {
       try {
         // Stop the instance if stopMode is provided
         if (stopMode !== null) {
@@ -238,6 +790,8 @@ export default class FMODWrapper {
             );
           }
         }
+        // Pooled instances are recycled once they finish stopping
+        this._releaseInstance(name, instance);
       } catch (error) {
         console.warn(`Error processing pending release:`, error);
       }
@@ -259,7 +813,7 @@ export default class FMODWrapper {
         // Release the FMOD instance if not already released
         if (data.instance) {
           try {
-            data.instance.release();
+            this._releaseInstance(data.name, data.instance);
           } catch (error) {
             console.warn(`Error releasing instance ${id}:`, error);
           }
@@ -299,7 +853,7 @@ export default class FMODWrapper {
           data.released = true;
           if (data.instance) {
             try {
-              data.instance.release();
+              this._releaseInstance(data.name, data.instance);
             } catch (error) {
               console.warn(`Error releasing stopped instance ${id}:`, error);
             }
@@ -323,15 +877,29 @@ export default class FMODWrapper {
     const data = this.instances.get(id);
     if (!data) return;
 
+    // Don't leave waitForEventStop promises hanging
+    this._resolveStopWaiters(data);
+
+    // A ready-start that never happened gives its throttle places back
+    if (data.startWhenReady) {
+      this._releaseStart(data.startWhenReady.throttles);
+      data.startWhenReady = null;
+    }
+
+    // Undo the load made by sample data preloading
+    if (data.sampleDataLoaded) {
+      data.sampleDataLoaded = false;
+      this.unloadEventSampleData(data.name).catch((error) =>
+        console.warn(`Failed to unload preloaded sample data:`, error)
+      );
+    }
+
     // Remove from tag index
     for (const tag of data.tags) {
-      const tagSet = this.tagIndex.get(tag);
-      if (tagSet) {
-        tagSet.delete(id);
-        if (tagSet.size === 0) {
-          this.tagIndex.delete(tag);
-        }
-      }
+      this._unindexTag(tag, id);
+    }
+    for (const limit of this.concurrencyLimits.values()) {
+      limit.ids.delete(id);
     }
 
     this.instances.delete(id);
@@ -361,26 +929,25 @@ export default class FMODWrapper {
       results.push({ id, data });
     };
 
-    // If tag is a number, it's an instance ID
-    if (typeof tag === "number") {
-      tryAdd(tag, this.instances.get(tag));
+    const query = this._compileTagQuery(tag);
+    if (!query) return results;
+
+    // Plain tags and IDs are looked up directly
+    if (query.type === "id") {
+      tryAdd(query.id, this.instances.get(query.id));
       return results;
     }
-
-    // If tag is a string, find all instances with that tag
-    if (typeof tag === "string" && tag.trim()) {
-      const tagSet = this.tagIndex.get(tag.trim());
-      if (tagSet) {
-        for (const id of tagSet) {
-          tryAdd(id, this.instances.get(id));
-        }
+    if (query.type === "tag") {
+      for (const id of this._getTagIds(query.tag)) {
+        tryAdd(id, this.instances.get(id));
       }
       return results;
     }
 
-    // No tag specified - get all instances (optionally filtered by name)
     for (const [id, data] of this.instances) {
-      tryAdd(id, data);
+      if (query.type === "all" || this._testTagQuery(query, id, data)) {
+        tryAdd(id, data);
+      }
     }
     return results;
   }
@@ -407,6 +974,101 @@ export default class FMODWrapper {
     return outval.val;
   }
 
+  // ==================== Event Descriptions ====================
+
+  /**
+   * Get information about an event description
+   * @param {string} name - Event path
+   * @returns {Object|null} Event description info or null if not found
+   */
+  getEventDescriptionInfo(name) {
+    const desc = this._getEventDescription(name);
+    if (!desc) return null;
+
+    const out = {};
+    const out2 = {};
+    const info = {
+      path: name,
+      length: null,
+      is3D: null,
+      isOneshot: null,
+      isStream: null,
+      isSnapshot: null,
+      minDistance: null,
+      maxDistance: null,
+      soundSize: null,
+      parameters: [],
+      userProperties: [],
+    };
+
+    if (desc.getLength(out) === FMOD.OK) info.length = out.val;
+    if (desc.is3D(out) === FMOD.OK) info.is3D = !!out.val;
+    if (desc.isOneshot(out) === FMOD.OK) info.isOneshot = !!out.val;
+    if (desc.isStream(out) === FMOD.OK) info.isStream = !!out.val;
+    if (desc.isSnapshot(out) === FMOD.OK) info.isSnapshot = !!out.val;
+    if (desc.getMinMaxDistance(out, out2) === FMOD.OK) {
+      info.minDistance = out.val;
+      info.maxDistance = out2.val;
+    }
+    if (desc.getSoundSize(out) === FMOD.OK) info.soundSize = out.val;
+
+    info.parameters = this._getParameterDescriptions(desc).map(
+      (param, index) => ({
+        ...param,
+        labels:
+          param.flags & FMOD.STUDIO_PARAMETER_LABELED
+            ? this._getParameterLabels(desc, index, param)
+            : [],
+      })
+    );
+
+    if (desc.getUserPropertyCount(out) === FMOD.OK) {
+      const count = out.val;
+      for (let i = 0; i < count; i++) {
+        const propOut = {};
+        if (desc.getUserPropertyByIndex(i, propOut) !== FMOD.OK) continue;
+        info.userProperties.push(this._readUserProperty(propOut.val));
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Read the labels of a labeled parameter
+   * @private
+   */
+  _getParameterLabels(desc, index, param) {
+    const labels = [];
+    const count = param.maximum - param.minimum + 1;
+    for (let i = 0; i < count; i++) {
+      const labelOut = {};
+      const result = desc.getParameterLabelByIndex(index, i, labelOut, 256, {});
+      if (result !== FMOD.OK) break;
+      labels.push(labelOut.val);
+    }
+    return labels;
+  }
+
+  /**
+   * Convert an FMOD user property to a plain { name, type, value } object
+   * @private
+   */
+  _readUserProperty(prop) {
+    switch (prop.type) {
+      case FMOD.STUDIO_USER_PROPERTY_TYPE_INTEGER:
+        return { name: prop.name, type: "integer", value: prop.intvalue };
+      case FMOD.STUDIO_USER_PROPERTY_TYPE_BOOLEAN:
+        return { name: prop.name, type: "boolean", value: !!prop.boolvalue };
+      case FMOD.STUDIO_USER_PROPERTY_TYPE_FLOAT:
+        return { name: prop.name, type: "float", value: prop.floatvalue };
+      case FMOD.STUDIO_USER_PROPERTY_TYPE_STRING:
+        return { name: prop.name, type: "string", value: prop.stringvalue };
+      default:
+        return { name: prop.name, type: null, value: null };
+    }
+  }
+
   // ==================== Bank Management ====================
 
   /**
@@ -537,11 +1199,25 @@ export default class FMODWrapper {
   }
 
   /**
-   * Load sample data for an event
+   * Load sample data for an event.
+   * Unpinned sample data counts against sampleDataBudget and may be evicted.
+   * Loads are queued: the size of each is measured from the change in total usage.
    * @param {string} name - Event path
+   * @param {boolean} pinned - Protect the sample data from budget eviction
    * @returns {Promise} Resolves when sample data is loaded
    */
-  loadEventSampleData(name) {
+  loadEventSampleData(name, pinned = false) {
+    const load = this._sampleDataLoadQueue.then(() =>
+      this._loadEventSampleData(name, pinned)
+    );
+    this._sampleDataLoadQueue = load.catch(() => {});
+    return load;
+  }
+
+  /**
+   * @private
+   */
+  _loadEventSampleData(name, pinned) {
     return new Promise((resolve, reject) => {
       const desc = this._getEventDescription(name);
       if (!desc) {
@@ -549,6 +1225,7 @@ export default class FMODWrapper {
         return;
       }
 
+      const usageBefore = this._getSampleDataUsage();
       const result = desc.loadSampleData();
       if (result !== FMOD.OK) {
         reject(
@@ -559,9 +1236,26 @@ export default class FMODWrapper {
         return;
       }
 
+      const entry = this.loadedSampleData.get(name) || {
+        refs: 0,
+        pins: 0,
+        size: 0,
+        lastUsed: this._now(),
+      };
+      entry.refs++;
+      if (pinned) entry.pins++;
+      this.loadedSampleData.set(name, entry);
+
       // Wait for sample data to be loaded
       this.awaitEventSampleLoadingState(desc, FMOD.STUDIO_LOADING_STATE_LOADED)
-        .then(resolve)
+        .then(() => {
+          // Change in total usage, shared samples count once. Bank sample data
+          // loading at the same time would be counted too.
+          const loadedSize = this._getSampleDataUsage() - usageBefore;
+          if (loadedSize > 0) entry.size = Math.max(entry.size, loadedSize);
+          this._enforceSampleDataBudget(name);
+          resolve();
+        })
         .catch(reject);
     });
   }
@@ -569,9 +1263,22 @@ export default class FMODWrapper {
   /**
    * Unload sample data for an event
    * @param {string} name - Event path
+   * @param {boolean} pinned - Release a pinned load
    * @returns {Promise} Resolves when sample data is unloaded
    */
-  unloadEventSampleData(name) {
+  unloadEventSampleData(name, pinned = false) {
+    // Queued with the loads, so it can't undo a load that hasn't run yet
+    const unload = this._sampleDataLoadQueue.then(() =>
+      this._unloadEventSampleData(name, pinned)
+    );
+    this._sampleDataLoadQueue = unload.catch(() => {});
+    return unload;
+  }
+
+  /**
+   * @private
+   */
+  _unloadEventSampleData(name, pinned) {
     return new Promise((resolve, reject) => {
       const desc = this._getEventDescription(name);
       if (!desc) {
@@ -579,6 +1286,18 @@ export default class FMODWrapper {
         return;
       }
 
+      // The budget already undid this load
+      const evictedLoads = this.evictedSampleDataLoads.get(name) || 0;
+      if (evictedLoads > 0) {
+        if (evictedLoads > 1) {
+          this.evictedSampleDataLoads.set(name, evictedLoads - 1);
+        } else {
+          this.evictedSampleDataLoads.delete(name);
+        }
+        resolve();
+        return;
+      }
+
       const result = desc.unloadSampleData();
       if (result !== FMOD.OK) {
         reject(
@@ -589,6 +1308,18 @@ export default class FMODWrapper {
         return;
       }
 
+      // FMOD counts loads, the data stays until every load is undone
+      const entry = this.loadedSampleData.get(name);
+      if (entry) {
+        entry.refs--;
+        if (pinned && entry.pins > 0) entry.pins--;
+        if (entry.refs > 0) {
+          resolve();
+          return;
+        }
+        this.loadedSampleData.delete(name);
+      }
+
       // Wait for sample data to be unloaded
       this.awaitEventSampleLoadingState(
         desc,
@@ -698,6 +1429,9 @@ export default class FMODWrapper {
         return;
       }
 
+      // Only this bank's events leave the description cache
+      this.forgetBankEvents(bankData.handle);
+
       const result = bankData.handle.unload();
       if (result !== FMOD.OK) {
         reject(
@@ -710,1001 +1444,3695 @@ export default class FMODWrapper {
 
       this.banks.delete(bankName);
 
-      // Clear cached event descriptions (they may become invalid)
-      this.eventDescriptions.clear();
-
       resolve();
     });
   }
 
   /**
-   * Unload all banks
-   * @returns {Promise} Resolves when all banks are unloaded
+   * List the contents of a loaded bank
+   * @param {Object} bankHandle - Bank handle
+   * @returns {Object} { id, path, events, buses, vcas, strings }
    */
-  unloadAllBanks() {
-    const promises = [];
-    for (const bankName of this.banks.keys()) {
-      promises.push(this.unloadBank(bankName));
+  getBankContents(bankHandle) {
+    const out = {};
+    const contents = {
+      id: null,
+      path: this._getHandlePath(bankHandle),
+      events: [],
+      buses: [],
+      vcas: [],
+      strings: [],
+    };
+
+    if (bankHandle.getID(out) === FMOD.OK) {
+      contents.id = this._formatGUID(out.val);
     }
-    return Promise.all(promises);
-  }
 
-  // ==================== Event Creation ====================
+    contents.events = this._getBankList(bankHandle, "Event").map((desc) =>
+      this._getHandlePath(desc)
+    );
+    contents.buses = this._getBankList(bankHandle, "Bus").map((bus) =>
+      this._getHandlePath(bus)
+    );
+    contents.vcas = this._getBankList(bankHandle, "VCA").map((vca) =>
+      this._getHandlePath(vca)
+    );
+
+    // Only banks that include a string table (e.g. Master.strings.bank) have strings
+    if (bankHandle.getStringCount(out) === FMOD.OK) {
+      const count = out.val;
+      for (let i = 0; i < count; i++) {
+        const idOut = {};
+        const pathOut = {};
+        const result = bankHandle.getStringInfo(i, idOut, pathOut, 512, {});
+        if (result !== FMOD.OK) continue;
+        contents.strings.push({
+          id: this._formatGUID(idOut.val),
+          path: pathOut.val,
+        });
+      }
+    }
+
+    return contents;
+  }
 
   /**
-   * Start a one-time (fire and forget) event
-   * @param {string} name - Event path (e.g., 'event:/SFX/Explosion')
-   * @returns {boolean} True if event was started successfully
+   * Read one of the handle lists of a bank (Event, Bus or VCA)
+   * @private
    */
-  startOneTimeEvent(name) {
-    const desc = this._getEventDescription(name);
-    if (!desc) return false;
+  _getBankList(bankHandle, kind) {
+    const countOut = {};
+    let result = bankHandle[`get${kind}Count`](countOut);
+    if (result !== FMOD.OK || !countOut.val) return [];
 
-    const instanceOut = {};
-    let result = desc.createInstance(instanceOut);
+    const listOut = {};
+    result = bankHandle[`get${kind}List`](listOut, countOut.val, {});
     if (result !== FMOD.OK) {
-      console.error(
-        `Failed to create instance for "${name}": ${FMOD.ErrorString(result)}`
+      console.warn(
+        `Failed to get bank ${kind} list: ${FMOD.ErrorString(result)}`
       );
-      return false;
+      return [];
     }
+    return listOut.val || [];
+  }
 
-    const instance = instanceOut.val;
-
-    result = instance.start();
-    if (result !== FMOD.OK) {
-      console.error(
-        `Failed to start instance for "${name}": ${FMOD.ErrorString(result)}`
-      );
-      instance.release();
-      return false;
-    }
+  /**
+   * Get the path of a bank, event description, bus or VCA handle
+   * @private
+   */
+  _getHandlePath(handle) {
+    const pathOut = {};
+    const result = handle.getPath(pathOut, 512, {});
+    return result === FMOD.OK ? pathOut.val : null;
+  }
 
-    // Release immediately - FMOD will keep it alive until it finishes
-    instance.release();
-    return true;
+  /**
+   * Format an FMOD GUID as "{xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx}"
+   * @private
+   */
+  _formatGUID(guid) {
+    if (!guid) return null;
+    const hex = (value, length) =>
+      (value >>> 0).toString(16).padStart(length, "0").slice(-length);
+    const bytes = Array.from(guid.data4 || [], (b) => hex(b & 0xff, 2));
+    return `{${hex(guid.data1, 8)}-${hex(guid.data2, 4)}-${hex(
+      guid.data3,
+      4
+    )}-${bytes.slice(0, 2).join("")}-${bytes.slice(2).join("")}}`;
   }
 
   /**
-   * Instantiate an event without starting it
-   * @param {string} name - Event path
-   * @param {string} tags - Space-separated tags
-   * @returns {number|null} Instance ID or null on failure
+   * Get the IDs of tracked instances whose event comes from a bank
+   * @param {Object} bankHandle - FMOD bank handle
+   * @param {boolean} playingOnly - Skip instances that are stopped
+   * @param {Set<string>} eventIds - The bank's event GUIDs, from getBankEventIds (listed from the bank if omitted)
+   * @returns {Array<number>} Instance IDs
    */
-  instantiateEvent(name, tags = "") {
-    this.currentCycleCalls.push({
-      method: "instantiateEvent",
-      params: { name, tags },
-      timestamp: Date.now(),
-    });
-    const desc = this._getEventDescription(name);
-    if (!desc) return null;
+  getBankInstanceIds(
+    bankHandle,
+    playingOnly = false,
+    eventIds = this.getBankEventIds(bankHandle)
+  ) {
+    const ids = [];
+    if (eventIds.size === 0) return ids;
 
-    const instanceOut = {};
-    const result = desc.createInstance(instanceOut);
-    if (result !== FMOD.OK) {
-      console.error(
-        `Failed to create instance for "${name}": ${FMOD.ErrorString(result)}`
-      );
-      return null;
+    for (const [id, data] of this.instances) {
+      if (data.released) continue;
+      if (!eventIds.has(this._getInstanceEventId(data))) continue;
+
+      if (playingOnly) {
+        const stateOut = {};
+        const result = data.instance.getPlaybackState(stateOut);
+        if (
+          result !== FMOD.OK ||
+          stateOut.val === FMOD.STUDIO_PLAYBACK_STOPPED
+        ) {
+          continue;
+        }
+      }
+      ids.push(id);
     }
+    return ids;
+  }
 
-    const instance = instanceOut.val;
-    const id = this.nextInstanceId++;
-
-    // Parse tags
-    const tagSet = new Set();
-    if (tags && typeof tags === "string") {
-      tags
-        .split(/\s+/)
-        .filter((t) => t.trim())
-        .forEach((t) => tagSet.add(t.trim()));
+  /**
+   * Drop cached event descriptions that belong to a bank.
+   * Must be called before the bank is unloaded, while its handles are valid.
+   * @param {Object} bankHandle - FMOD bank handle
+   */
+  forgetBankEvents(bankHandle) {
+    const eventIds = this.getBankEventIds(bankHandle);
+    for (const [name, desc] of this.eventDescriptions) {
+      if (eventIds.has(this._getDescriptionId(desc))) {
+        this.eventDescriptions.delete(name);
+        this._drainInstancePool(name);
+      }
     }
+  }
 
-    // Store instance data
-    const data = {
-      instance,
-      name,
-      tags: tagSet,
-      released: false,
-      autoRelease: false,
-    };
-    this.instances.set(id, data);
+  /**
+   * Get the GUIDs of the events in a bank
+   * @param {Object} bankHandle - FMOD bank handle
+   * @returns {Set<string>} Formatted event GUIDs
+   */
+  getBankEventIds(bankHandle) {
+    return new Set(
+      this._getBankList(bankHandle, "Event").map((desc) =>
+        this._getDescriptionId(desc)
+      )
+    );
+  }
 
-    // Update tag index
-    for (const tag of tagSet) {
-      if (!this.tagIndex.has(tag)) {
-        this.tagIndex.set(tag, new Set());
-      }
-      this.tagIndex.get(tag).add(id);
+  /**
+   * GUID of an instance's event, read once per instance
+   * @private
+   */
+  _getInstanceEventId(data) {
+    if (data.eventId === undefined) {
+      const out = {};
+      data.eventId =
+        data.instance.getDescription(out) === FMOD.OK
+          ? this._getDescriptionId(out.val)
+          : null;
     }
+    return data.eventId;
+  }
 
-    return id;
+  /**
+   * @private
+   */
+  _getDescriptionId(desc) {
+    const out = {};
+    return desc.getID(out) === FMOD.OK ? this._formatGUID(out.val) : null;
   }
 
   /**
-   * Create and start an event
-   * @param {string} name - Event path
-   * @param {string} tags - Space-separated tags
-   * @param {boolean} destroyWhenStopped - Auto-release when stopped
-   * @returns {number|null} Instance ID or null on failure
+   * Unload all banks
+   * @returns {Promise} Resolves when all banks are unloaded
    */
-  startEvent(name, tags = "", destroyWhenStopped = true) {
-    const id = this.instantiateEvent(name, tags);
-    this.currentCycleCalls.push({
-      method: "startEvent",
-      params: { name, tags, destroyWhenStopped, id },
-      timestamp: Date.now(),
-    });
-    if (id === null) return null;
+  unloadAllBanks() {
+    const promises = [];
+    for (const bankName of this.banks.keys()) {
+      promises.push(this.unloadBank(bankName));
+    }
+    return Promise.all(promises);
+  }
 
-    const data = this.instances.get(id);
-    data.autoRelease = destroyWhenStopped;
+  // ==================== Sample Data Budget ====================
 
-    const result = data.instance.start();
-    if (result !== FMOD.OK) {
-      console.error(
-        `Failed to start event "${name}": ${FMOD.ErrorString(result)}`
-      );
-      try {
-        data.instance.release();
-      } catch (error) {
-        console.warn(`Error releasing failed instance:`, error);
-      }
-      data.instance = null; // Prevent double-release
-      this._removeInstance(id);
-      return null;
+  /**
+   * Set the sample data budget and evict right away if it is exceeded
+   * @param {number} bytes - Budget in bytes, 0 disables eviction
+   * @returns {Array<Object>} Eviction reports
+   */
+  setSampleDataBudget(bytes) {
+    this.sampleDataBudget = Math.max(0, bytes || 0);
+    this._sampleDataOverBudget = false;
+    return this._enforceSampleDataBudget();
+  }
+
+  /**
+   * Get sample data usage and the tracked events, least recently used first
+   * usage is FMOD's total, budgetedUsage the part the budget applies to.
+   * @returns {Object} { budget, usage, budgetedUsage, events: [{ name, size, lastUsed, pinned, refs }] }
+   */
+  getSampleDataUsage() {
+    return {
+      budget: this.sampleDataBudget,
+      usage: this._getSampleDataUsage(),
+      budgetedUsage: this._getBudgetedSampleDataUsage(),
+      events: Array.from(this.loadedSampleData)
+        .sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+        .map(([name, entry]) => ({
+          name,
+          size: entry.size,
+          lastUsed: entry.lastUsed,
+          pinned: entry.pins > 0,
+          refs: entry.refs,
+        })),
+    };
+  }
+
+  /**
+   * Mark an event's sample data as used now
+   * @private
+   */
+  _touchSampleData(name) {
+    const entry = this.loadedSampleData.get(name);
+    if (entry) entry.lastUsed = this._now();
+  }
+
+  /**
+   * Total sample data memory, from FMOD or the tracked estimates
+   * @private
+   */
+  _getSampleDataUsage() {
+    const out = {};
+    if (
+      this.system &&
+      this.system.getMemoryUsage &&
+      this.system.getMemoryUsage(out) === FMOD.OK &&
+      out.val
+    ) {
+      return out.val.sampledata;
     }
 
-    return id;
+    let usage = 0;
+    for (const entry of this.loadedSampleData.values()) usage += entry.size;
+    return usage;
   }
 
   /**
-   * Create and start an event at a specific 3D position
-   * @param {string} name - Event path
-   * @param {string} tags - Space-separated tags
-   * @param {number} x - Position X
-   * @param {number} y - Position Y
-   * @param {number} z - Position Z
-   * @param {number} vx - Velocity X
-   * @param {number} vy - Velocity Y
-   * @param {number} vz - Velocity Z
-   * @param {number} fx - Forward X
-   * @param {number} fy - Forward Y
-   * @param {number} fz - Forward Z
-   * @param {number} ux - Up X
-   * @param {number} uy - Up Y
-   * @param {number} uz - Up Z
-   * @param {boolean} destroyWhenStopped - Auto-release when stopped
-   * @returns {number|null} Instance ID or null on failure
+   * Sample data the budget can evict: unpinned event loads. Bank-level and
+   * pinned sample data are left out, evicting others could never bring them down.
+   * @private
    */
-  startEventAtPosition(
-    name,
-    tags = "",
-    x,
-    y,
-    z,
-    vx,
-    vy,
-    vz,
-    fx,
-    fy,
-    fz,
-    ux,
-    uy,
-    uz,
-    destroyWhenStopped = true
-  ) {
-    const id = this.instantiateEvent(name, tags);
-    this.currentCycleCalls.push({
-      method: "startEventAtPosition",
-      params: {
-        name,
-        tags,
-        x,
-        y,
-        z,
-        vx,
-        vy,
-        vz,
-        fx,
-        fy,
-        fz,
-        ux,
-        uy,
-        uz,
-        destroyWhenStopped,
-        id,
-      },
-      timestamp: Date.now(),
-    });
-    if (id === null) return null;
+  _getBudgetedSampleDataUsage() {
+    let usage = 0;
+    for (const entry of this.loadedSampleData.values()) {
+      if (entry.pins === 0) usage += entry.size;
+    }
+    return usage;
+  }
 
-    const data = this.instances.get(id);
-    data.autoRelease = destroyWhenStopped;
+  /**
+   * @private
+   */
+  _checkSampleDataBudget() {
+    if (!this.sampleDataBudget || this.loadedSampleData.size === 0) return;
 
-    // Set 3D attributes before starting
-    const attributes = FMOD._3D_ATTRIBUTES();
-    attributes.position.x = x;
-    attributes.position.y = y;
-    attributes.position.z = z;
-    attributes.velocity.x = vx;
-    attributes.velocity.y = vy;
-    attributes.velocity.z = vz;
-    attributes.forward.x = fx;
-    attributes.forward.y = fy;
-    attributes.forward.z = fz;
-    attributes.up.x = ux;
-    attributes.up.y = uy;
-    attributes.up.z = uz;
+    const now = this._now();
+    if (now - this._lastSampleDataCheck < this.sampleDataCheckInterval) return;
+    this._lastSampleDataCheck = now;
 
-    const attrResult = data.instance.set3DAttributes(attributes);
-    if (attrResult !== FMOD.OK) {
-      console.warn(
-        `Failed to set 3D attributes on event "${name}": ${FMOD.ErrorString(
-          attrResult
-        )}`
-      );
+    this._enforceSampleDataBudget();
+  }
+
+  /**
+   * Unload least recently used, unpinned sample data of events without
+   * live instances until usage fits the budget
+   * @param {string} keep - Event path that must not be evicted (just loaded)
+   * @returns {Array<Object>} Eviction reports
+   * @private
+   */
+  _enforceSampleDataBudget(keep) {
+    const evicted = [];
+    if (!this.sampleDataBudget) return evicted;
+
+    let usage = this._getBudgetedSampleDataUsage();
+    if (usage <= this.sampleDataBudget) {
+      this._sampleDataOverBudget = false;
+      return evicted;
     }
 
-    // Start the event
-    const result = data.instance.start();
-    if (result !== FMOD.OK) {
-      console.error(
-        `Failed to start event "${name}": ${FMOD.ErrorString(result)}`
-      );
-      try {
-        data.instance.release();
-      } catch (error) {
-        console.warn(`Error releasing failed instance:`, error);
+    const candidates = Array.from(this.loadedSampleData)
+      .filter(([name, entry]) => entry.pins === 0 && name !== keep)
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+    for (const [name, entry] of candidates) {
+      if (usage <= this.sampleDataBudget) break;
+
+      const desc = this._getEventDescription(name);
+      if (!desc) {
+        this.loadedSampleData.delete(name);
+        continue;
       }
-      data.instance = null; // Prevent double-release
-      this._removeInstance(id);
-      return null;
+
+      // Instances still need the data, including released one-shots.
+      // Idle pooled instances don't, they are released with the data.
+      const pool = this.instancePools.get(name);
+      const idle = pool ? pool.idle.length : 0;
+      const countOut = {};
+      if (desc.getInstanceCount(countOut) === FMOD.OK && countOut.val > idle) {
+        continue;
+      }
+      if (pool) {
+        for (const instance of pool.idle) {
+          this._releasePooledInstance(pool, instance);
+        }
+        pool.idle = [];
+      }
+
+      for (let i = 0; i < entry.refs; i++) {
+        desc.unloadSampleData();
+      }
+      // The loaders still own their unload calls
+      this.evictedSampleDataLoads.set(
+        name,
+        (this.evictedSampleDataLoads.get(name) || 0) + entry.refs
+      );
+      this.loadedSampleData.delete(name);
+      usage -= entry.size;
+
+      const info = {
+        name,
+        size: entry.size,
+        lastUsed: entry.lastUsed,
+        usage,
+        budget: this.sampleDataBudget,
+      };
+      evicted.push(info);
+      if (this.onSampleDataEvicted) this.onSampleDataEvicted(info);
     }
 
-    return id;
+    if (usage > this.sampleDataBudget && !this._sampleDataOverBudget) {
+      console.warn(
+        `FMOD: Unpinned sample data (${usage} bytes) exceeds the budget (${this.sampleDataBudget} bytes), the remaining events are playing.`
+      );
+    }
+    this._sampleDataOverBudget = usage > this.sampleDataBudget;
+    return evicted;
   }
 
-  // ==================== Event Parameters ====================
+  // ==================== Concurrency Limits ====================
 
   /**
-   * Set a parameter on matching events
-   * @param {string|null} name - Event name (null for any)
-   * @param {string|number|null} tag - Tag or instance ID
-   * @param {string|Object} param - Parameter name or ID
-   * @param {boolean} isId - True if param is an ID object
-   * @param {number} value - Parameter value
-   * @param {boolean} ignoreSeekSpeed - Ignore seek speed
+   * Limit how many tracked instances of an event or tag may exist at once.
+   * Enforced when instances are created; one-shots from startOneTimeEvent are not counted.
+   * @param {string} scope - "event" (target is an event path) or "tag" (target is a tag, descendants included)
+   * @param {string} target - Event path or tag
+   * @param {number} max - Maximum instances, 0 removes the limit
+   * @param {string} policy - refuse, steal-oldest, steal-quietest or steal-furthest (default: steal-oldest)
    */
-  setEventParameter(name, tag, param, isId, value, ignoreSeekSpeed = false) {
-    this.currentCycleCalls.push({
-      method: "setEventParameter",
-      params: { name, tag, param, isId, value, ignoreSeekSpeed },
-      timestamp: Date.now(),
-    });
-    const instances = this._getMatchingInstances(name, tag);
+  setConcurrencyLimit(scope, target, max, policy = "steal-oldest") {
+    if (scope !== "event" && scope !== "tag") {
+      console.error(`Invalid concurrency limit scope: ${scope}`);
+      return;
+    }
+    if (!STEAL_POLICIES.includes(policy)) {
+      console.error(`Invalid concurrency limit policy: ${policy}`);
+      return;
+    }
 
-    for (const { data } of instances) {
-      let result;
-      if (isId) {
-        result = data.instance.setParameterByID(param, value, ignoreSeekSpeed);
-      } else {
-        result = data.instance.setParameterByName(
-          param,
-          value,
-          ignoreSeekSpeed
-        );
-      }
-      if (result !== FMOD.OK) {
-        console.warn(
-          `Failed to set parameter "${param}": ${FMOD.ErrorString(result)}`
-        );
-      }
+    const key = `${scope}:${target}`;
+    if (!max || max < 1) {
+      this.concurrencyLimits.delete(key);
+      return;
     }
+    const limit = {
+      scope,
+      target,
+      max: Math.floor(max),
+      policy,
+      ids: new Set(), // Tracked instances counted by the limit
+    };
+    for (const [id, data] of this.instances) {
+      if (!data.released && this._isLimitedBy(limit, data)) limit.ids.add(id);
+    }
+    this.concurrencyLimits.set(key, limit);
   }
 
   /**
-   * Set a parameter with label on matching events
-   * @param {string|null} name - Event name (null for any)
-   * @param {string|number|null} tag - Tag or instance ID
-   * @param {string|Object} param - Parameter name or ID
-   * @param {boolean} isId - True if param is an ID object
-   * @param {string} label - Label value
-   * @param {boolean} ignoreSeekSpeed - Ignore seek speed
+   * List concurrency limits with their current instance counts
+   * @returns {Array<Object>} { scope, target, max, policy, count }
    */
-  setEventParameterWithLabel(
-    name,
-    tag,
-    param,
-    isId,
-    label,
+  getConcurrencyLimits() {
+    return Array.from(
+      this.concurrencyLimits.values(),
+      ({ scope, target, max, policy, ids }) => ({
+        scope,
+        target,
+        max,
+        policy,
+        count: ids.size,
+      })
+    );
+  }
+
+  /**
+   * Check the limits that apply to a new instance, stealing where allowed
+   * @private
+   * @returns {boolean} False if the instance must not be created
+   */
+  _enforceConcurrencyLimits(name, tagSet) {
+    const applicable = [];
+    for (const limit of this.concurrencyLimits.values()) {
+      const applies = this._isLimitedBy(limit, { name, tags: tagSet });
+      if (!applies || limit.ids.size < limit.max) continue;
+
+      const instances = this._getLimitedInstances(limit);
+      if (instances.length >= limit.max) {
+        applicable.push({ limit, instances });
+      }
+    }
+    if (applicable.length === 0) return true;
+
+    // Refusing wins over stealing, nothing is stolen for a refused instance.
+    // A refusing limit still reclaims instances that are already stopped.
+    const refusing = applicable.find(
+      ({ limit, instances }) =>
+        limit.policy === "refuse" &&
+        instances.filter((i) => i.stopped).length <
+          instances.length - limit.max + 1
+    );
+    if (refusing) {
+      this._reportConcurrencyLimit(refusing.limit, name, tagSet, [], true);
+      return false;
+    }
+
+    for (const { limit } of applicable) {
+      // Earlier steals may already have made room
+      const instances = this._getLimitedInstances(limit);
+      const excess = instances.length - limit.max + 1;
+      if (excess <= 0) continue;
+
+      const candidates =
+        limit.policy === "refuse"
+          ? instances.filter((i) => i.stopped)
+          : instances;
+      const victims = this._selectVictims(candidates, limit.policy, excess);
+      for (const { id, data } of victims) {
+        this._stealInstance(id, data);
+      }
+      this._reportConcurrencyLimit(
+        limit,
+        name,
+        tagSet,
+        victims.map(({ id }) => id),
+        false
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Stop and release a victim right away, so it doesn't play on next to its
+   * replacement until the next tick
+   * @private
+   */
+  _stealInstance(id, data) {
+    const instance = data.instance;
+    data.released = true;
+    data.instance = null; // Prevent double-release
+    this._removeInstance(id);
+    if (!instance) return;
+
+    try {
+      const result = instance.stop(FMOD.STUDIO_STOP_IMMEDIATE);
+      if (result !== FMOD.OK) {
+        console.warn(`Failed to stop instance: ${FMOD.ErrorString(result)}`);
+      }
+      this._releaseInstance(data.name, instance);
+    } catch (error) {
+      console.warn(`Error releasing stolen instance ${id}:`, error);
+    }
+  }
+
+  /**
+   * Tracked instances counted by a limit
+   * @private
+   */
+  _getLimitedInstances(limit) {
+    const results = [];
+    for (const id of limit.ids) {
+      const data = this.instances.get(id);
+      if (!data || data.released || !data.instance) continue;
+
+      // Only instances that played and ended are done, unstarted ones are live
+      const stateOut = {};
+      const stopped =
+        data.started &&
+        data.instance.getPlaybackState(stateOut) === FMOD.OK &&
+        stateOut.val === FMOD.STUDIO_PLAYBACK_STOPPED;
+      results.push({ id, data, stopped });
+    }
+    return results;
+  }
+
+  /**
+   * Whether a limit counts an instance
+   * @private
+   */
+  _isLimitedBy(limit, data) {
+    return limit.scope === "event"
+      ? data.name === limit.target
+      : this._hasTag(data, limit.target);
+  }
+
+  /**
+   * Update the limits counting an instance, after it is created or retagged
+   * @private
+   */
+  _trackLimitedInstance(id, data) {
+    for (const limit of this.concurrencyLimits.values()) {
+      if (this._isLimitedBy(limit, data)) {
+        limit.ids.add(id);
+      } else {
+        limit.ids.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Pick instances to steal. Stopped instances go first, then by policy.
+   * @private
+   */
+  _selectVictims(instances, policy, count) {
+    let score;
+    switch (policy) {
+      case "steal-quietest":
+        score = ({ data }) => -this._getInstanceLoudness(data);
+        break;
+      case "steal-furthest":
+        score = ({ data }) => this._getListenerDistance(data);
+        break;
+      default:
+        score = ({ id }) => -id; // IDs increase with creation order
+    }
+
+    return instances
+      .map((entry) => ({ ...entry, score: score(entry) }))
+      .sort((a, b) => b.stopped - a.stopped || b.score - a.score)
+      .slice(0, count);
+  }
+
+  /**
+   * Audibility of an instance, falling back to its final volume
+   * @private
+   */
+  _getInstanceLoudness(data) {
+    const out = {};
+    if (
+      data.instance.getChannelGroup &&
+      data.instance.getChannelGroup(out) === FMOD.OK &&
+      out.val
+    ) {
+      const audibility = {};
+      if (out.val.getAudibility(audibility) === FMOD.OK) {
+        return audibility.val;
+      }
+    }
+
+    const volumeOut = {};
+    const finalOut = {};
+    if (data.instance.getVolume(volumeOut, finalOut) === FMOD.OK) {
+      return finalOut.val;
+    }
+    return 0;
+  }
+
+  /**
+   * Distance between an instance and the first listener (0 for 2D events)
+   * @private
+   */
+  _getListenerDistance(data) {
+    const instanceOut = {};
+    const listenerOut = {};
+    if (
+      data.instance.get3DAttributes(instanceOut) !== FMOD.OK ||
+      !instanceOut.val ||
+      this.system.getListenerAttributes(0, listenerOut, {}) !== FMOD.OK ||
+      !listenerOut.val
+    ) {
+      return 0;
+    }
+
+    const a = instanceOut.val.position;
+    const b = listenerOut.val.position;
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+  }
+
+  /**
+   * @private
+   */
+  _reportConcurrencyLimit(limit, name, tagSet, stolen, refused) {
+    if (!this.onConcurrencyLimit) return;
+    this.onConcurrencyLimit({
+      scope: limit.scope,
+      target: limit.target,
+      max: limit.max,
+      policy: limit.policy,
+      name,
+      tags: Array.from(tagSet),
+      stolen,
+      refused,
+    });
+  }
+
+  // ==================== Throttles ====================
+
+  /**
+   * Limit how often an event or tag can be started.
+   * Applies to startEvent, startEventAtPosition, startEventWhenReady and startOneTimeEvent
+   * (one-time events have no tags, only event throttles apply to them).
+   * @param {string} scope - "event" (target is an event path) or "tag" (target is a tag, descendants included)
+   * @param {string} target - Event path or tag
+   * @param {number} cooldown - Minimum milliseconds between two starts, 0 for none
+   * @param {number} maxStarts - Maximum starts per window, 0 for no limit
+   * @param {number} window - Window length in milliseconds (default: 1000)
+   */
+  setThrottle(scope, target, cooldown = 0, maxStarts = 0, window = 1000) {
+    if (scope !== "event" && scope !== "tag") {
+      console.error(`Invalid throttle scope: ${scope}`);
+      return;
+    }
+
+    const key = `${scope}:${target}`;
+    if (!cooldown && !maxStarts) {
+      this.throttles.delete(key);
+      return;
+    }
+
+    const existing = this.throttles.get(key);
+    this.throttles.set(key, {
+      scope,
+      target,
+      cooldown: Math.max(0, cooldown || 0),
+      maxStarts: Math.max(0, Math.floor(maxStarts || 0)),
+      window: Math.max(1, window || 1000),
+      starts: existing ? existing.starts : [],
+      lastStart: existing ? existing.lastStart : null,
+      started: existing ? existing.started : 0,
+      throttled: existing ? existing.throttled : 0,
+      pending: existing ? existing.pending : 0,
+      pendingCooldown: existing ? existing.pendingCooldown : 0,
+      inFlight: existing ? existing.inFlight : 0,
+    });
+  }
+
+  /**
+   * Get start and throttled counts of every throttle
+   * @returns {Array<Object>} { scope, target, cooldown, maxStarts, window, started, throttled }
+   */
+  getThrottleStats() {
+    return Array.from(this.throttles.values(), (throttle) => ({
+      scope: throttle.scope,
+      target: throttle.target,
+      cooldown: throttle.cooldown,
+      maxStarts: throttle.maxStarts,
+      window: throttle.window,
+      started: throttle.started,
+      throttled: throttle.throttled,
+    }));
+  }
+
+  /**
+   * Reset start and throttled counts
+   */
+  resetThrottleStats() {
+    for (const throttle of this.throttles.values()) {
+      throttle.started = 0;
+      throttle.throttled = 0;
+      throttle.pending = 0;
+      throttle.pendingCooldown = 0;
+    }
+  }
+
+  /**
+   * Check the throttles that apply to a start, without recording it
+   * Ready-starts still waiting for their sample data count as started.
+   * @private
+   * @returns {boolean} False if the start is throttled
+   */
+  _checkThrottles(name, tagSet) {
+    if (this.throttles.size === 0) return true;
+
+    const now = this._now();
+    for (const throttle of this._getApplicableThrottles(name, tagSet)) {
+      throttle.starts = throttle.starts.filter(
+        (time) => now - time < throttle.window
+      );
+      const coolingDown =
+        throttle.cooldown > 0 &&
+        (throttle.inFlight > 0 ||
+          (throttle.lastStart !== null &&
+            now - throttle.lastStart < throttle.cooldown));
+      const rateLimited =
+        throttle.maxStarts > 0 &&
+        throttle.starts.length + throttle.inFlight >= throttle.maxStarts;
+
+      if (coolingDown || rateLimited) {
+        throttle.throttled++;
+        throttle.pending++;
+        if (coolingDown) throttle.pendingCooldown++;
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Count a start that happened against its throttles
+   * @private
+   */
+  _recordStart(name, tagSet) {
+    if (this.throttles.size === 0) return;
+
+    const now = this._now();
+    for (const throttle of this._getApplicableThrottles(name, tagSet)) {
+      throttle.lastStart = now;
+      throttle.started++;
+      if (throttle.maxStarts > 0) throttle.starts.push(now);
+    }
+  }
+
+  /**
+   * Hold a place in the throttles for a start that waits for its sample data
+   * @private
+   * @returns {Array<string>} Keys of the throttles held, for _releaseStart
+   */
+  _reserveStart(name, tagSet) {
+    if (this.throttles.size === 0) return [];
+
+    const keys = [];
+    for (const throttle of this._getApplicableThrottles(name, tagSet)) {
+      throttle.inFlight++;
+      keys.push(`${throttle.scope}:${throttle.target}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Give back the places taken by _reserveStart
+   * @private
+   */
+  _releaseStart(keys) {
+    for (const key of keys) {
+      const throttle = this.throttles.get(key);
+      if (throttle && throttle.inFlight > 0) throttle.inFlight--;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getApplicableThrottles(name, tagSet) {
+    const applicable = [];
+    for (const throttle of this.throttles.values()) {
+      const applies =
+        throttle.scope === "event"
+          ? throttle.target === name
+          : this._hasTag({ tags: tagSet }, throttle.target);
+      if (applies) applicable.push(throttle);
+    }
+    return applicable;
+  }
+
+  /**
+   * Report throttled starts since the last report, at most once per interval
+   * Entries: { scope, target, throttled, cooldown, rate, total }, cooldown and
+   * rate split the throttled starts by the check that refused them.
+   * @private
+   */
+  _reportThrottles() {
+    if (!this.onThrottleReport || this.throttles.size === 0) return;
+
+    const now = this._now();
+    if (now - this._lastThrottleReport < this.throttleReportInterval) return;
+    this._lastThrottleReport = now;
+
+    const throttled = [];
+    for (const throttle of this.throttles.values()) {
+      if (throttle.pending === 0) continue;
+      throttled.push({
+        scope: throttle.scope,
+        target: throttle.target,
+        throttled: throttle.pending,
+        cooldown: throttle.pendingCooldown,
+        rate: throttle.pending - throttle.pendingCooldown,
+        total: throttle.throttled,
+      });
+      throttle.pending = 0;
+      throttle.pendingCooldown = 0;
+    }
+    if (throttled.length > 0) {
+      this.onThrottleReport({ throttled });
+    }
+  }
+
+  /**
+   * Split a space-separated tag string into a set
+   * @private
+   */
+  _parseTags(tags) {
+    const tagSet = new Set();
+    if (tags && typeof tags === "string") {
+      for (const tag of tags.split(/\s+/)) {
+        // Same form as tag node paths, "a/b/" is "a/b"
+        const path = this._normalizeTagPath(tag);
+        if (path) tagSet.add(path);
+      }
+    }
+    return tagSet;
+  }
+
+  // ==================== Instance Pools ====================
+
+  /**
+   * Keep stopped instances of an event alive and reuse them instead of creating new ones.
+   * Recycled instances are reset to their freshly created state (see _resetInstance).
+   * @param {string} name - Event path
+   * @param {number} size - Maximum idle instances kept, 0 removes the pool
+   * @param {number} prewarm - Instances created ahead of time, now and whenever the event's bank loads
+   * @returns {number} Number of instances prewarmed now
+   */
+  setInstancePool(name, size, prewarm = 0) {
+    size = Math.max(0, Math.floor(size || 0));
+    if (size === 0) {
+      this._drainInstancePool(name);
+      this.instancePools.delete(name);
+      return 0;
+    }
+
+    const pool = this.instancePools.get(name) || {
+      idle: [],
+      returning: [],
+      created: 0,
+      reused: 0,
+      released: 0,
+    };
+    pool.size = size;
+    pool.prewarm = Math.min(size, Math.max(0, Math.floor(prewarm || 0)));
+    this.instancePools.set(name, pool);
+
+    // Shrink to the new size
+    while (pool.idle.length > size) {
+      this._releasePooledInstance(pool, pool.idle.pop());
+    }
+
+    // Only prewarm events that are already loaded, the rest prewarm with their bank
+    return this.eventDescriptions.has(name)
+      ? this._prewarmInstancePool(name)
+      : 0;
+  }
+
+  /**
+   * Create the prewarmed instances of pools whose event is in a bank
+   * @param {Object} bankHandle - Bank handle, just loaded
+   * @returns {number} Number of instances created
+   */
+  prewarmInstancePools(bankHandle) {
+    if (this.instancePools.size === 0) return 0;
+
+    let created = 0;
+    for (const desc of this._getBankList(bankHandle, "Event")) {
+      const name = this._getHandlePath(desc);
+      if (name && this.instancePools.has(name)) {
+        this.eventDescriptions.set(name, desc);
+        created += this._prewarmInstancePool(name);
+      }
+    }
+    return created;
+  }
+
+  /**
+   * Get the state of every instance pool
+   * @returns {Array<Object>} { name, size, prewarm, idle, returning, created, reused, released }
+   */
+  getInstancePoolStats() {
+    return Array.from(this.instancePools, ([name, pool]) => ({
+      name,
+      size: pool.size,
+      prewarm: pool.prewarm,
+      idle: pool.idle.length,
+      returning: pool.returning.length,
+      created: pool.created,
+      reused: pool.reused,
+      released: pool.released,
+    }));
+  }
+
+  /**
+   * Release the instances held by every pool, keeping the pool settings.
+   * Instances still playing out are released without being stopped.
+   */
+  clearInstancePools() {
+    for (const name of this.instancePools.keys()) {
+      this._drainInstancePool(name);
+    }
+  }
+
+  /**
+   * Take an idle pooled instance, or create one
+   * @private
+   * @returns {number} FMOD result
+   */
+  _createInstance(name, desc, instanceOut) {
+    const pool = this.instancePools.get(name);
+    if (!pool) return desc.createInstance(instanceOut);
+
+    while (pool.idle.length > 0) {
+      const instance = pool.idle.pop();
+      if (this._isInstanceValid(instance)) {
+        pool.reused++;
+        instanceOut.val = instance;
+        return FMOD.OK;
+      }
+    }
+
+    const result = desc.createInstance(instanceOut);
+    if (result === FMOD.OK) {
+      pool.created++;
+      this._readInstanceDefaults(instanceOut.val);
+    }
+    return result;
+  }
+
+  /**
+   * Give an instance back to its pool, or release it when the event is not pooled
+   * @private
+   */
+  _releaseInstance(name, instance) {
+    const pool = this.instancePools.get(name);
+    if (!pool) {
+      instance.release();
+      return;
+    }
+    // Recycled in _updateInstancePools once stopped
+    pool.returning.push(instance);
+  }
+
+  /**
+   * Recycle returning instances that have stopped
+   * @private
+   */
+  _updateInstancePools() {
+    for (const pool of this.instancePools.values()) {
+      if (pool.returning.length === 0) continue;
+
+      const stillPlaying = [];
+      for (const instance of pool.returning) {
+        if (!this._isInstanceValid(instance)) continue;
+
+        const stateOut = {};
+        if (instance.getPlaybackState(stateOut) !== FMOD.OK) {
+          this._releasePooledInstance(pool, instance);
+          continue;
+        }
+        if (stateOut.val !== FMOD.STUDIO_PLAYBACK_STOPPED) {
+          stillPlaying.push(instance);
+          continue;
+        }
+
+        if (pool.idle.length < pool.size && this._resetInstance(instance)) {
+          pool.idle.push(instance);
+        } else {
+          this._releasePooledInstance(pool, instance);
+        }
+      }
+      pool.returning = stillPlaying;
+    }
+  }
+
+  /**
+   * Remember the settings a new pooled instance starts with, that
+   * _resetInstance can't derive from the event description
+   * @private
+   */
+  _readInstanceDefaults(instance) {
+    const reverbLevels = [];
+    for (let index = 0; index < REVERB_INSTANCE_COUNT; index++) {
+      const levelOut = {};
+      reverbLevels.push(
+        instance.getReverbLevel(index, levelOut) === FMOD.OK ? levelOut.val : 0
+      );
+    }
+    const maskOut = {};
+    const listenerMask =
+      instance.getListenerMask(maskOut) === FMOD.OK ? maskOut.val : 0xffffffff;
+    this._pooledInstanceDefaults.set(instance, { reverbLevels, listenerMask });
+  }
+
+  /**
+   * Bring a stopped instance back to its freshly created state: callbacks,
+   * timeline, volume, pitch, pause, 3D position, properties, reverb levels,
+   * listener mask and local parameters. User properties belong to the event
+   * description and can't change per instance.
+   * @private
+   * @returns {boolean} False if the instance can't be reused
+   */
+  _resetInstance(instance) {
+    const descOut = {};
+    if (instance.getDescription(descOut) !== FMOD.OK) return false;
+
+    instance.setCallback(null, 0);
+    instance.setTimelinePosition(0);
+    instance.setVolume(1);
+    instance.setPitch(1);
+    instance.setPaused(false);
+    instance.set3DAttributes(this._createDefault3DAttributes());
+
+    // -1 restores the value set in FMOD Studio
+    for (const property of EVENT_PROPERTIES) {
+      instance.setProperty(FMOD[property], -1);
+    }
+    const defaults = this._pooledInstanceDefaults.get(instance);
+    if (defaults) {
+      defaults.reverbLevels.forEach((level, index) =>
+        instance.setReverbLevel(index, level)
+      );
+      instance.setListenerMask(defaults.listenerMask);
+    }
+
+    const skipFlags =
+      FMOD.STUDIO_PARAMETER_READONLY |
+      FMOD.STUDIO_PARAMETER_AUTOMATIC |
+      FMOD.STUDIO_PARAMETER_GLOBAL;
+    for (const param of this._getParameterDescriptions(descOut.val)) {
+      if (param.flags & skipFlags) continue;
+      instance.setParameterByName(param.name, param.defaultValue, true);
+    }
+    return true;
+  }
+
+  /**
+   * 3D attributes of a new instance: at the origin, facing +Z with +Y up
+   * @private
+   */
+  _createDefault3DAttributes() {
+    const attributes = FMOD._3D_ATTRIBUTES();
+    attributes.position.x = 0;
+    attributes.position.y = 0;
+    attributes.position.z = 0;
+    attributes.velocity.x = 0;
+    attributes.velocity.y = 0;
+    attributes.velocity.z = 0;
+    attributes.forward.x = 0;
+    attributes.forward.y = 0;
+    attributes.forward.z = 1;
+    attributes.up.x = 0;
+    attributes.up.y = 1;
+    attributes.up.z = 0;
+    return attributes;
+  }
+
+  /**
+   * Create instances until the pool holds its prewarm count
+   * @private
+   * @returns {number} Number of instances created
+   */
+  _prewarmInstancePool(name) {
+    const pool = this.instancePools.get(name);
+    const desc = this._getEventDescription(name);
+    if (!pool || !desc) return 0;
+
+    let created = 0;
+    while (pool.idle.length + pool.returning.length < pool.prewarm) {
+      const instanceOut = {};
+      const result = desc.createInstance(instanceOut);
+      if (result !== FMOD.OK) {
+        console.warn(
+          `Failed to prewarm instance for "${name}": ${FMOD.ErrorString(result)}`
+        );
+        break;
+      }
+      this._readInstanceDefaults(instanceOut.val);
+      pool.idle.push(instanceOut.val);
+      pool.created++;
+      created++;
+    }
+    return created;
+  }
+
+  /**
+   * Release every instance held by a pool, e.g. before its bank unloads.
+   * Returning instances are released without being stopped, they finish playing first.
+   * @private
+   */
+  _drainInstancePool(name) {
+    const pool = this.instancePools.get(name);
+    if (!pool) return;
+
+    for (const instance of pool.idle) {
+      this._releasePooledInstance(pool, instance);
+    }
+    for (const instance of pool.returning) {
+      this._releasePooledInstance(pool, instance);
+    }
+    pool.idle = [];
+    pool.returning = [];
+  }
+
+  /**
+   * @private
+   */
+  _releasePooledInstance(pool, instance) {
+    pool.released++;
+    try {
+      if (this._isInstanceValid(instance)) instance.release();
+    } catch (error) {
+      console.warn(`Error releasing pooled instance:`, error);
+    }
+  }
+
+  // ==================== Event Creation ====================
+
+  /**
+   * Start a one-time (fire and forget) event
+   * @param {string} name - Event path (e.g., 'event:/SFX/Explosion')
+   * @returns {boolean} True if event was started successfully
+   */
+  startOneTimeEvent(name) {
+    const desc = this._getEventDescription(name);
+    if (!desc) return false;
+    if (!this._checkThrottles(name, new Set())) return false;
+    this._touchSampleData(name);
+
+    const instanceOut = {};
+    let result = this._createInstance(name, desc, instanceOut);
+    if (result !== FMOD.OK) {
+      console.error(
+        `Failed to create instance for "${name}": ${FMOD.ErrorString(result)}`
+      );
+      return false;
+    }
+
+    const instance = instanceOut.val;
+
+    result = instance.start();
+    if (result !== FMOD.OK) {
+      console.error(
+        `Failed to start instance for "${name}": ${FMOD.ErrorString(result)}`
+      );
+      instance.release();
+      return false;
+    }
+    this._recordStart(name, new Set());
+
+    // Release immediately - FMOD will keep it alive until it finishes.
+    // Pooled instances are kept instead and recycled once stopped.
+    this._releaseInstance(name, instance);
+    return true;
+  }
+
+  /**
+   * Instantiate an event without starting it
+   * @param {string} name - Event path
+   * @param {string} tags - Space-separated tags
+   * @param {boolean} preloadSampleData - Load sample data now so the instance starts without latency
+   *   (default: preloadSampleDataOnInstantiate)
+   * @param {boolean} notifyReady - Call onInstanceReady once the sample data is loaded
+   * @returns {number|null} Instance ID or null on failure
+   */
+  instantiateEvent(name, tags = "", preloadSampleData, notifyReady = false) {
+    this.currentCycleCalls.push({
+      method: "instantiateEvent",
+      params: { name, tags, preloadSampleData, notifyReady },
+      timestamp: Date.now(),
+    });
+    const desc = this._getEventDescription(name);
+    if (!desc) return null;
+    this._touchSampleData(name);
+
+    const tagSet = this._parseTags(tags);
+
+    // Make room under concurrency limits, or refuse
+    if (
+      this.concurrencyLimits.size > 0 &&
+      !this._enforceConcurrencyLimits(name, tagSet)
+    ) {
+      return null;
+    }
+
+    const instanceOut = {};
+    const result = this._createInstance(name, desc, instanceOut);
+    if (result !== FMOD.OK) {
+      console.error(
+        `Failed to create instance for "${name}": ${FMOD.ErrorString(result)}`
+      );
+      return null;
+    }
+
+    const instance = instanceOut.val;
+    const id = this.nextInstanceId++;
+
+    // Store instance data
+    const data = {
+      instance,
+      name,
+      tags: tagSet,
+      released: false,
+      autoRelease: false,
+      callback: null,
+      callbackMask: 0,
+      stopWaiters: [],
+      ready: true,
+      sampleDataLoaded: false,
+      startWhenReady: null,
+      notifyReady,
+      volume: 1, // Own volume, before tag node multipliers
+      paused: false, // Own pause, tag nodes can pause on top
+      appliedVolume: 1, // Last values written to FMOD by _applyInstanceMix
+      appliedPaused: false,
+      started: false, // Unstarted instances read as stopped but are not done
+    };
+    this.instances.set(id, data);
+    if (this.concurrencyLimits.size > 0) {
+      this._trackLimitedInstance(id, data);
+    }
+
+    // Update tag index
+    for (const tag of tagSet) {
+      this._indexTag(tag, id);
+    }
+
+    // Attach callbacks for existing subscriptions
+    if (this.callbackSubscriptions.size > 0) {
+      this._applyInstanceCallback(id, data);
+    }
+
+    // Inherit pause / volume / mute from tag nodes
+    if (this.tagStates.size > 0) {
+      this._applyInstanceMix(data);
+    }
+
+    if (preloadSampleData ?? this.preloadSampleDataOnInstantiate) {
+      this._preloadInstanceSampleData(id, data);
+    }
+
+    return id;
+  }
+
+  /**
+   * Instantiate an event, preload its sample data and start it once loaded
+   * @param {string} name - Event path
+   * @param {string} tags - Space-separated tags
+   * @param {boolean} destroyWhenStopped - Auto-release when stopped
+   * @returns {number|null} Instance ID or null on failure
+   */
+  startEventWhenReady(name, tags = "", destroyWhenStopped = true) {
+    if (!this._checkThrottles(name, this._parseTags(tags))) return null;
+
+    const id = this.instantiateEvent(name, tags, true, true);
+    this.currentCycleCalls.push({
+      method: "startEventWhenReady",
+      params: { name, tags, destroyWhenStopped, id },
+      timestamp: Date.now(),
+    });
+    if (id === null) return null;
+
+    // autoRelease is only set on start, an unstarted instance reads as stopped
+    const data = this.instances.get(id);
+    data.startWhenReady = {
+      destroyWhenStopped,
+      // Counted against throttles while waiting, so a burst can't all start at once
+      throttles: this._reserveStart(name, data.tags),
+    };
+    // Sample data that was already loaded needs no wait
+    if (data.ready) this._markInstanceReady(id, data);
+    return id;
+  }
+
+  /**
+   * Check whether matching instances have their sample data loaded
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @returns {boolean} True if there are matches and all are ready
+   */
+  isEventReady(name, tag) {
+    const instances = this._getMatchingInstances(name, tag);
+    return instances.length > 0 && instances.every(({ data }) => data.ready);
+  }
+
+  /**
+   * @private
+   */
+  _preloadInstanceSampleData(id, data) {
+    // Already loaded: ready now, the load below keeps it loaded for this instance
+    const desc = this._getEventDescription(data.name);
+    const stateOut = {};
+    const loaded =
+      desc &&
+      desc.getSampleLoadingState(stateOut) === FMOD.OK &&
+      stateOut.val === FMOD.STUDIO_LOADING_STATE_LOADED;
+    if (!loaded) data.ready = false;
+
+    this.loadEventSampleData(data.name)
+      .then(
+        () => {
+          if (this.instances.get(id) === data) {
+            // Undone in _removeInstance, FMOD counts each load
+            data.sampleDataLoaded = true;
+            return;
+          }
+          // Removed while loading
+          this.unloadEventSampleData(data.name).catch((error) =>
+            console.warn(`Failed to unload preloaded sample data:`, error)
+          );
+        },
+        (error) =>
+          console.warn(
+            `Failed to preload sample data for "${data.name}", it will load on start:`,
+            error
+          )
+      )
+      .then(() => {
+        if (!loaded) this._markInstanceReady(id, data);
+      });
+  }
+
+  /**
+   * @private
+   */
+  _markInstanceReady(id, data) {
+    // The instance may have been stopped while loading
+    if (this.instances.get(id) !== data || data.released) return;
+    data.ready = true;
+
+    const started = !!data.startWhenReady;
+    if (data.startWhenReady) {
+      const { destroyWhenStopped, throttles } = data.startWhenReady;
+      data.startWhenReady = null;
+      this._releaseStart(throttles);
+      const result = data.instance.start();
+      if (result !== FMOD.OK) {
+        console.error(
+          `Failed to start event "${data.name}": ${FMOD.ErrorString(result)}`
+        );
+        data.released = true;
+        return;
+      }
+      data.started = true;
+      data.autoRelease = destroyWhenStopped;
+      this._recordStart(data.name, data.tags);
+    }
+
+    if (data.notifyReady && this.onInstanceReady) {
+      this.onInstanceReady({
+        id,
+        name: data.name,
+        tags: Array.from(data.tags),
+        started,
+      });
+    }
+  }
+
+  /**
+   * Create and start an event
+   * @param {string} name - Event path
+   * @param {string} tags - Space-separated tags
+   * @param {boolean} destroyWhenStopped - Auto-release when stopped
+   * @returns {number|null} Instance ID or null on failure
+   */
+  startEvent(name, tags = "", destroyWhenStopped = true) {
+    if (!this._checkThrottles(name, this._parseTags(tags))) return null;
+
+    const id = this.instantiateEvent(name, tags);
+    this.currentCycleCalls.push({
+      method: "startEvent",
+      params: { name, tags, destroyWhenStopped, id },
+      timestamp: Date.now(),
+    });
+    if (id === null) return null;
+
+    const data = this.instances.get(id);
+    data.autoRelease = destroyWhenStopped;
+
+    const result = data.instance.start();
+    if (result !== FMOD.OK) {
+      console.error(
+        `Failed to start event "${name}": ${FMOD.ErrorString(result)}`
+      );
+      try {
+        data.instance.release();
+      } catch (error) {
+        console.warn(`Error releasing failed instance:`, error);
+      }
+      data.instance = null; // Prevent double-release
+      this._removeInstance(id);
+      return null;
+    }
+    data.started = true;
+    this._recordStart(name, data.tags);
+
+    return id;
+  }
+
+  /**
+   * Create and start an event at a specific 3D position
+   * @param {string} name - Event path
+   * @param {string} tags - Space-separated tags
+   * @param {number} x - Position X
+   * @param {number} y - Position Y
+   * @param {number} z - Position Z
+   * @param {number} vx - Velocity X
+   * @param {number} vy - Velocity Y
+   * @param {number} vz - Velocity Z
+   * @param {number} fx - Forward X
+   * @param {number} fy - Forward Y
+   * @param {number} fz - Forward Z
+   * @param {number} ux - Up X
+   * @param {number} uy - Up Y
+   * @param {number} uz - Up Z
+   * @param {boolean} destroyWhenStopped - Auto-release when stopped
+   * @returns {number|null} Instance ID or null on failure
+   */
+  startEventAtPosition(
+    name,
+    tags = "",
+    x,
+    y,
+    z,
+    vx,
+    vy,
+    vz,
+    fx,
+    fy,
+    fz,
+    ux,
+    uy,
+    uz,
+    destroyWhenStopped = true
+  ) {
+    if (!this._checkThrottles(name, this._parseTags(tags))) return null;
+
+    const id = this.instantiateEvent(name, tags);
+    this.currentCycleCalls.push({
+      method: "startEventAtPosition",
+      params: {
+        name,
+        tags,
+        x,
+        y,
+        z,
+        vx,
+        vy,
+        vz,
+        fx,
+        fy,
+        fz,
+        ux,
+        uy,
+        uz,
+        destroyWhenStopped,
+        id,
+      },
+      timestamp: Date.now(),
+    });
+    if (id === null) return null;
+
+    const data = this.instances.get(id);
+    data.autoRelease = destroyWhenStopped;
+
+    // Set 3D attributes before starting
+    const attributes = FMOD._3D_ATTRIBUTES();
+    attributes.position.x = x;
+    attributes.position.y = y;
+    attributes.position.z = z;
+    attributes.velocity.x = vx;
+    attributes.velocity.y = vy;
+    attributes.velocity.z = vz;
+    attributes.forward.x = fx;
+    attributes.forward.y = fy;
+    attributes.forward.z = fz;
+    attributes.up.x = ux;
+    attributes.up.y = uy;
+    attributes.up.z = uz;
+
+    const attrResult = data.instance.set3DAttributes(attributes);
+    if (attrResult !== FMOD.OK) {
+      console.warn(
+        `Failed to set 3D attributes on event "${name}": ${FMOD.ErrorString(
+          attrResult
+        )}`
+      );
+    }
+
+    // Start the event
+    const result = data.instance.start();
+    if (result !== FMOD.OK) {
+      console.error(
+        `Failed to start event "${name}": ${FMOD.ErrorString(result)}`
+      );
+      try {
+        data.instance.release();
+      } catch (error) {
+        console.warn(`Error releasing failed instance:`, error);
+      }
+      data.instance = null; // Prevent double-release
+      this._removeInstance(id);
+      return null;
+    }
+    data.started = true;
+    this._recordStart(name, data.tags);
+
+    return id;
+  }
+
+  // ==================== Event Parameters ====================
+
+  /**
+   * Set a parameter on matching events
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {string|Object} param - Parameter name or ID
+   * @param {boolean} isId - True if param is an ID object
+   * @param {number} value - Parameter value
+   * @param {boolean} ignoreSeekSpeed - Ignore seek speed
+   */
+  setEventParameter(name, tag, param, isId, value, ignoreSeekSpeed = false) {
+    this.currentCycleCalls.push({
+      method: "setEventParameter",
+      params: { name, tag, param, isId, value, ignoreSeekSpeed },
+      timestamp: Date.now(),
+    });
+    const instances = this._getMatchingInstances(name, tag);
+
+    for (const { id, data } of instances) {
+      this.cancelTween(this._eventParameterTweenKey(id, param, isId));
+
+      let result;
+      if (isId) {
+        result = data.instance.setParameterByID(param, value, ignoreSeekSpeed);
+      } else {
+        result = data.instance.setParameterByName(
+          param,
+          value,
+          ignoreSeekSpeed
+        );
+      }
+      if (result !== FMOD.OK) {
+        console.warn(
+          `Failed to set parameter "${param}": ${FMOD.ErrorString(result)}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Set a parameter with label on matching events
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {string|Object} param - Parameter name or ID
+   * @param {boolean} isId - True if param is an ID object
+   * @param {string} label - Label value
+   * @param {boolean} ignoreSeekSpeed - Ignore seek speed
+   */
+  setEventParameterWithLabel(
+    name,
+    tag,
+    param,
+    isId,
+    label,
     ignoreSeekSpeed = false
   ) {
     this.currentCycleCalls.push({
-      method: "setEventParameterWithLabel",
-      params: { name, tag, param, isId, label, ignoreSeekSpeed },
+      method: "setEventParameterWithLabel",
+      params: { name, tag, param, isId, label, ignoreSeekSpeed },
+      timestamp: Date.now(),
+    });
+    const instances = this._getMatchingInstances(name, tag);
+
+    for (const { id, data } of instances) {
+      this.cancelTween(this._eventParameterTweenKey(id, param, isId));
+
+      let result;
+      if (isId) {
+        result = data.instance.setParameterByIDWithLabel(
+          param,
+          label,
+          ignoreSeekSpeed
+        );
+      } else {
+        result = data.instance.setParameterByNameWithLabel(
+          param,
+          label,
+          ignoreSeekSpeed
+        );
+      }
+      if (result !== FMOD.OK) {
+        console.warn(
+          `Failed to set parameter "${param}" with label: ${FMOD.ErrorString(
+            result
+          )}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Set a global parameter
+   * @param {string|Object} param - Parameter name or ID
+   * @param {boolean} isId - True if param is an ID object
+   * @param {number} value - Parameter value
+   * @param {boolean} ignoreSeekSpeed - Ignore seek speed
+   */
+  setGlobalParameter(param, isId, value, ignoreSeekSpeed = false) {
+    this.currentCycleCalls.push({
+      method: "setGlobalParameter",
+      params: { param, isId, value, ignoreSeekSpeed },
+      timestamp: Date.now(),
+    });
+    this.cancelTween(this._globalParameterTweenKey(param, isId));
+    this._trackGlobalParameter(param, isId);
+
+    let result;
+    if (isId) {
+      result = this.system.setParameterByID(param, value, ignoreSeekSpeed);
+    } else {
+      result = this.system.setParameterByName(param, value, ignoreSeekSpeed);
+    }
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to set global parameter "${param}": ${FMOD.ErrorString(result)}`
+      );
+    }
+  }
+
+  /**
+   * Set a global parameter with label
+   * @param {string|Object} param - Parameter name or ID
+   * @param {boolean} isId - True if param is an ID object
+   * @param {string} label - Label value
+   * @param {boolean} ignoreSeekSpeed - Ignore seek speed
+   */
+  setGlobalParameterWithLabel(param, isId, label, ignoreSeekSpeed = false) {
+    this.currentCycleCalls.push({
+      method: "setGlobalParameterWithLabel",
+      params: { param, isId, label, ignoreSeekSpeed },
+      timestamp: Date.now(),
+    });
+    this.cancelTween(this._globalParameterTweenKey(param, isId));
+    this._trackGlobalParameter(param, isId);
+
+    let result;
+    if (isId) {
+      result = this.system.setParameterByIDWithLabel(
+        param,
+        label,
+        ignoreSeekSpeed
+      );
+    } else {
+      result = this.system.setParameterByNameWithLabel(
+        param,
+        label,
+        ignoreSeekSpeed
+      );
+    }
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to set global parameter "${param}" with label: ${FMOD.ErrorString(
+          result
+        )}`
+      );
+    }
+  }
+
+  // ==================== Tweens ====================
+
+  /**
+   * Ramp a parameter on matching events from its current value to a target
+   * Replaces any tween already running on the same instance parameter.
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {string|Object} param - Parameter name or ID
+   * @param {boolean} isId - True if param is an ID object
+   * @param {number} value - Target value
+   * @param {number} duration - Duration in milliseconds
+   * @param {string} curve - Easing curve (linear, ease-in, ease-out, ease-in-out, exponential, exponential-out)
+   * @returns {Promise<boolean>} Resolves when all tweens end (true if all completed, false if any was cancelled)
+   */
+  tweenEventParameter(name, tag, param, isId, value, duration, curve) {
+    this.currentCycleCalls.push({
+      method: "tweenEventParameter",
+      params: { name, tag, param, isId, value, duration, curve },
+      timestamp: Date.now(),
+    });
+    const instances = this._getMatchingInstances(name, tag);
+    const promises = [];
+
+    for (const { id, data } of instances) {
+      const current = this._getInstanceParameterValue(
+        data.instance,
+        param,
+        isId
+      );
+      if (current === null) continue;
+
+      const instance = data.instance;
+      promises.push(
+        this.startTween(this._eventParameterTweenKey(id, param, isId), {
+          from: current,
+          to: value,
+          duration,
+          curve,
+          apply: (v) => {
+            if (data.released || !this._isInstanceValid(instance)) return false;
+            const result = isId
+              ? instance.setParameterByID(param, v, true)
+              : instance.setParameterByName(param, v, true);
+            return result === FMOD.OK;
+          },
+        })
+      );
+    }
+
+    return Promise.all(promises).then((results) => results.every(Boolean));
+  }
+
+  /**
+   * Ramp a global parameter from its current value to a target
+   * @param {string|Object} param - Parameter name or ID
+   * @param {boolean} isId - True if param is an ID object
+   * @param {number} value - Target value
+   * @param {number} duration - Duration in milliseconds
+   * @param {string} curve - Easing curve
+   * @returns {Promise<boolean>} Resolves true when completed, false if cancelled
+   */
+  tweenGlobalParameter(param, isId, value, duration, curve) {
+    this.currentCycleCalls.push({
+      method: "tweenGlobalParameter",
+      params: { param, isId, value, duration, curve },
+      timestamp: Date.now(),
+    });
+    const current = this._getInstanceParameterValue(this.system, param, isId);
+    if (current === null) return Promise.resolve(false);
+    this._trackGlobalParameter(param, isId);
+
+    return this.startTween(this._globalParameterTweenKey(param, isId), {
+      from: current,
+      to: value,
+      duration,
+      curve,
+      apply: (v) => {
+        const result = isId
+          ? this.system.setParameterByID(param, v, true)
+          : this.system.setParameterByName(param, v, true);
+        return result === FMOD.OK;
+      },
+    });
+  }
+
+  /**
+   * Cancel parameter tweens on matching events
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {string|Object} param - Parameter name or ID
+   * @param {boolean} isId - True if param is an ID object
+   */
+  cancelEventParameterTween(name, tag, param, isId) {
+    for (const { id } of this._getMatchingInstances(name, tag)) {
+      this.cancelTween(this._eventParameterTweenKey(id, param, isId));
+    }
+  }
+
+  /**
+   * Cancel a global parameter tween
+   * @param {string|Object} param - Parameter name or ID
+   * @param {boolean} isId - True if param is an ID object
+   */
+  cancelGlobalParameterTween(param, isId) {
+    this.cancelTween(this._globalParameterTweenKey(param, isId));
+  }
+
+  /**
+   * Start a tween, replacing any tween running under the same key
+   * @param {string} key - Unique key of the tweened value
+   * @param {Object} options - Tween options
+   * @param {number} options.from - Start value
+   * @param {number} options.to - Target value
+   * @param {number} options.duration - Duration in milliseconds
+   * @param {string} options.curve - Easing curve name
+   * @param {Function} options.apply - (value) => boolean, returns false when the target is gone
+   * @returns {Promise<boolean>} Resolves true when completed, false if cancelled
+   */
+  startTween(key, { from, to, duration, curve, apply }) {
+    this.cancelTween(key);
+
+    let ease = EASING_CURVES[curve];
+    if (!ease) {
+      if (curve) console.warn(`Unknown easing curve "${curve}", using linear`);
+      ease = EASING_CURVES.linear;
+    }
+
+    if (!(duration > 0)) {
+      return Promise.resolve(apply(to) !== false);
+    }
+
+    const tween = {
+      from,
+      to,
+      duration,
+      startTime: this._now(),
+      ease,
+      apply,
+      resolve: null,
+      promise: null,
+    };
+    tween.promise = new Promise((resolve) => {
+      tween.resolve = resolve;
+    });
+    this.tweens.set(key, tween);
+    return tween.promise;
+  }
+
+  /**
+   * Cancel a running tween, leaving the value where it is
+   * @param {string} key - Unique key of the tweened value
+   */
+  cancelTween(key) {
+    const tween = this.tweens.get(key);
+    if (!tween) return;
+    this.tweens.delete(key);
+    tween.resolve(false);
+  }
+
+  /**
+   * Advance all running tweens
+   * @private
+   */
+  _updateTweens() {
+    if (this.tweens.size === 0) return;
+
+    const now = this._now();
+    for (const [key, tween] of this.tweens) {
+      const progress = Math.min(1, (now - tween.startTime) / tween.duration);
+      const value = tween.from + (tween.to - tween.from) * tween.ease(progress);
+
+      let alive;
+      try {
+        alive = tween.apply(value) !== false;
+      } catch (error) {
+        console.warn(`Error applying tween "${key}":`, error);
+        alive = false;
+      }
+
+      if (!alive || progress >= 1) {
+        this.tweens.delete(key);
+        tween.resolve(alive);
+      }
+    }
+  }
+
+  /**
+   * Current time in milliseconds, simulated while rendering offline
+   * @private
+   */
+  _now() {
+    return this._offlineTime !== null ? this._offlineTime : performance.now();
+  }
+
+  /**
+   * Read a parameter value from an event instance or the studio system
+   * @private
+   * @returns {number|null} Current value or null on failure
+   */
+  _getInstanceParameterValue(target, param, isId) {
+    const valueOut = {};
+    const result = isId
+      ? target.getParameterByID(param, valueOut, {})
+      : target.getParameterByName(param, valueOut, {});
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to get parameter "${param}": ${FMOD.ErrorString(result)}`
+      );
+      return null;
+    }
+    return valueOut.val;
+  }
+
+  /**
+   * Tween key of an event instance parameter
+   * @private
+   */
+  _eventParameterTweenKey(id, param, isId) {
+    const data = this.instances.get(id);
+    if (!isId && data) {
+      const desc = this._getEventDescription(data.name);
+      const paramId = this._lookupParameterId(
+        `${data.name}:${param}`,
+        desc,
+        param
+      );
+      if (paramId) return `event:${id}:${this._parameterKey(paramId, true)}`;
+    }
+    return `event:${id}:${this._parameterKey(param, isId)}`;
+  }
+
+  /**
+   * Tween key of a global parameter
+   * @private
+   */
+  _globalParameterTweenKey(param, isId) {
+    if (!isId) {
+      const paramId = this._lookupParameterId(param, this.system, param);
+      if (paramId) return `global:${this._parameterKey(paramId, true)}`;
+    }
+    return `global:${this._parameterKey(param, isId)}`;
+  }
+
+  /**
+   * Resolve a parameter name to its ID, so tweens by name and by ID share a key
+   * @param {string} cacheKey - Cache key ("event:/path:name", or the name for globals)
+   * @param {Object} owner - Event description, or the Studio system for globals
+   * @param {string} name - Parameter name
+   * @returns {Object|null} Parameter ID, or null if it doesn't resolve
+   * @private
+   */
+  _lookupParameterId(cacheKey, owner, name) {
+    if (this.parameterIds.has(cacheKey)) return this.parameterIds.get(cacheKey);
+    if (!owner) return null;
+
+    const paramOut = {};
+    if (owner.getParameterDescriptionByName(name, paramOut) !== FMOD.OK) {
+      return null;
+    }
+    const { data1, data2 } = paramOut.val.id;
+    const id = { data1, data2 };
+    this.parameterIds.set(cacheKey, id);
+    return id;
+  }
+
+  /**
+   * Stable string key for a parameter name or ID
+   * @private
+   */
+  _parameterKey(param, isId) {
+    return isId ? `id:${param.data1}:${param.data2}` : `name:${param}`;
+  }
+
+  // ==================== Event Volume & Pitch ====================
+
+  /**
+   * Set volume on matching events
+   * Cancels any volume fade running on those instances.
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {number} volume - Volume (linear, 1.0 = unchanged)
+   */
+  setEventVolume(name, tag, volume) {
+    this.currentCycleCalls.push({
+      method: "setEventVolume",
+      params: { name, tag, volume },
+      timestamp: Date.now(),
+    });
+    const instances = this._getMatchingInstances(name, tag);
+    for (const { id, data } of instances) {
+      this.cancelTween(this._eventVolumeTweenKey(id));
+      data.volume = volume;
+      this._applyInstanceMix(data);
+    }
+  }
+
+  /**
+   * Set pitch on matching events
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {number} pitch - Pitch multiplier (1.0 = unchanged)
+   */
+  setEventPitch(name, tag, pitch) {
+    this.currentCycleCalls.push({
+      method: "setEventPitch",
+      params: { name, tag, pitch },
+      timestamp: Date.now(),
+    });
+    const instances = this._getMatchingInstances(name, tag);
+    for (const { data } of instances) {
+      const result = data.instance.setPitch(pitch);
+      if (result !== FMOD.OK) {
+        console.warn(`Failed to set event pitch: ${FMOD.ErrorString(result)}`);
+      }
+    }
+  }
+
+  /**
+   * Fade the volume of matching events to a target over time
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {number} volume - Target volume
+   * @param {number} duration - Duration in milliseconds
+   * @param {string} curve - Easing curve
+   * @param {boolean} stopWhenDone - Stop and release each instance when its fade completes
+   * @returns {Promise<boolean>} Resolves when all fades end (true if all completed, false if any was cancelled)
+   */
+  fadeEventVolume(name, tag, volume, duration, curve, stopWhenDone = false) {
+    this.currentCycleCalls.push({
+      method: "fadeEventVolume",
+      params: { name, tag, volume, duration, curve, stopWhenDone },
+      timestamp: Date.now(),
+    });
+    const instances = this._getMatchingInstances(name, tag);
+    const promises = [];
+
+    for (const { id, data } of instances) {
+      const instance = data.instance;
+      const promise = this.startTween(this._eventVolumeTweenKey(id), {
+        from: data.volume,
+        to: volume,
+        duration,
+        curve,
+        apply: (v) => {
+          if (data.released || !this._isInstanceValid(instance)) return false;
+          data.volume = v;
+          return this._applyInstanceMix(data);
+        },
+      });
+
+      promises.push(
+        promise.then((completed) => {
+          if (completed && stopWhenDone) {
+            this.stopEvent(null, id, false, true);
+          }
+          return completed;
+        })
+      );
+    }
+
+    return Promise.all(promises).then((results) => results.every(Boolean));
+  }
+
+  /**
+   * Tween key of an event instance volume
+   * @private
+   */
+  _eventVolumeTweenKey(id) {
+    return `event:${id}:volume`;
+  }
+
+  // ==================== Event Control ====================
+
+  /**
+   * Stop matching events
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {boolean} allowFadeOut - Allow fade out
+   * @param {boolean} release - Release after stopping
+   */
+  stopEvent(name, tag, allowFadeOut = true, release = true) {
+    this.currentCycleCalls.push({
+      method: "stopEvent",
+      params: { name, tag, allowFadeOut, release },
+      timestamp: Date.now(),
+    });
+    const instances = this._getMatchingInstances(name, tag);
+    const stopMode = allowFadeOut
+      ? FMOD.STUDIO_STOP_ALLOWFADEOUT
+      : FMOD.STUDIO_STOP_IMMEDIATE;
+
+    for (const { id, data } of instances) {
+      if (release) {
+        // Queue instance for stop and release on next tick
+        // This prevents queued operations from accessing it
+        this.pendingRelease.push({
+          instance: data.instance,
+          stopMode: stopMode,
+          name: data.name,
+        });
+
+        // Remove from tracking immediately to prevent further operations
+        data.released = true;
+        data.instance = null; // Clear reference so it's not used
+        this._removeInstance(id);
+      } else {
+        // Just stop without release
+        const result = data.instance.stop(stopMode);
+        if (result !== FMOD.OK) {
+          console.warn(`Failed to stop instance: ${FMOD.ErrorString(result)}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Stop all instances of a specific event
+   * @param {string} name - Event name
+   * @param {boolean} allowFadeOut - Allow fade out
+   * @param {boolean} release - Release after stopping
+   */
+  stopAllEventInstances(name, allowFadeOut = true, release = true) {
+    this.currentCycleCalls.push({
+      method: "stopAllEventInstances",
+      params: { name, allowFadeOut, release },
+      timestamp: Date.now(),
+    });
+    this.stopEvent(name, null, allowFadeOut, release);
+  }
+
+  /**
+   * Stop all event instances
+   * @param {boolean} allowFadeOut - Allow fade out
+   * @param {boolean} release - Release after stopping
+   */
+  stopAllEvents(allowFadeOut = true, release = true) {
+    this.currentCycleCalls.push({
+      method: "stopAllEvents",
+      params: { allowFadeOut, release },
+      timestamp: Date.now(),
+    });
+    this.stopEvent(null, null, allowFadeOut, release);
+  }
+
+  /**
+   * Release all instances of a specific event
+   * @param {string} name - Event name
+   */
+  releaseAllEventInstances(name) {
+    this.currentCycleCalls.push({
+      method: "releaseAllEventInstances",
+      params: { name },
+      timestamp: Date.now(),
+    });
+    const instances = this._getMatchingInstances(name, null);
+
+    for (const { id, data } of instances) {
+      if (!data.released) {
+        // Queue instance for release on next tick (already stopped)
+        this.pendingRelease.push({
+          instance: data.instance,
+          stopMode: null, // Already stopped, just release
+          name: data.name,
+        });
+
+        // Remove from tracking immediately to prevent further operations
+        data.released = true;
+        data.instance = null; // Clear reference so it's not used
+        this._removeInstance(id);
+      }
+    }
+  }
+
+  /**
+   * Set paused state on matching events
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {boolean} paused - Paused state
+   */
+  setEventPaused(name, tag, paused) {
+    this.currentCycleCalls.push({
+      method: "setEventPaused",
+      params: { name, tag, paused },
+      timestamp: Date.now(),
+    });
+    const instances = this._getMatchingInstances(name, tag);
+    for (const { data } of instances) {
+      data.paused = !!paused;
+      this._applyInstanceMix(data);
+    }
+  }
+
+  /**
+   * Set timeline position on matching events
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {number} position - Position in milliseconds
+   */
+  setEventTimelinePosition(name, tag, position) {
+    this.currentCycleCalls.push({
+      method: "setEventTimelinePosition",
+      params: { name, tag, position },
+      timestamp: Date.now(),
+    });
+    const instances = this._getMatchingInstances(name, tag);
+    for (const { data } of instances) {
+      const result = data.instance.setTimelinePosition(position);
+      if (result !== FMOD.OK) {
+        console.warn(
+          `Failed to set timeline position: ${FMOD.ErrorString(result)}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Wait for matching events to stop
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @returns {Promise} Resolves when all matching events have stopped
+   */
+  waitForEventStop(name, tag) {
+    this.currentCycleCalls.push({
+      method: "waitForEventStop",
+      params: { name, tag },
+      timestamp: Date.now(),
+    });
+    const instances = this._getMatchingInstances(name, tag);
+
+    if (instances.length === 0) {
+      return Promise.resolve();
+    }
+
+    return Promise.all(
+      instances.map(({ id, data }) => {
+        return new Promise((resolve) => {
+          data.stopWaiters.push(resolve);
+          if (!this._applyInstanceCallback(id, data)) {
+            console.warn(`Failed to set callback for waitForEventStop`);
+            this._resolveStopWaiters(data); // Resolve anyway to avoid hanging
+          }
+        });
+      })
+    );
+  }
+
+  // ==================== Event Callbacks ====================
+
+  /**
+   * Subscribe to FMOD callbacks on matching events.
+   * Applies to current matching instances and to instances created later.
+   * Fired callbacks are queued and passed to onEventCallback after each update.
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID (null for all)
+   * @param {string|Array<string>} types - Space-separated callback types (e.g. 'timeline-marker timeline-beat')
+   * @returns {number|null} Subscription ID or null if no valid type was given
+   */
+  subscribeEventCallbacks(name, tag, types) {
+    const mask = this._parseCallbackMask(types);
+    if (!mask) {
+      console.warn(`No valid callback types in "${types}"`);
+      return null;
+    }
+
+    const subscriptionId = this.nextSubscriptionId++;
+    this.callbackSubscriptions.set(subscriptionId, {
+      name: name || null,
+      tag: tag === "" ? null : tag,
+      mask,
+    });
+
+    for (const [id, data] of this.instances) {
+      if (!data.released) this._applyInstanceCallback(id, data);
+    }
+
+    return subscriptionId;
+  }
+
+  /**
+   * Remove a callback subscription
+   * @param {number} subscriptionId - Subscription ID returned by subscribeEventCallbacks
+   */
+  unsubscribeEventCallbacks(subscriptionId) {
+    if (!this.callbackSubscriptions.delete(subscriptionId)) return;
+
+    for (const [id, data] of this.instances) {
+      if (!data.released) this._applyInstanceCallback(id, data);
+    }
+  }
+
+  /**
+   * Check if an instance matches a name/tag filter
+   * @private
+   */
+  _instanceMatches(id, data, name, tag) {
+    if (name && data.name !== name) return false;
+    const query = this._compileTagQuery(tag);
+    return !!query && this._testTagQuery(query, id, data);
+  }
+
+  /**
+   * Convert callback type names to an FMOD callback mask
+   * @private
+   */
+  _parseCallbackMask(types) {
+    if (typeof types === "number") return types;
+
+    const list = Array.isArray(types)
+      ? types
+      : String(types || "").split(/\s+/);
+    let mask = 0;
+    for (const type of list) {
+      const constName = EVENT_CALLBACK_TYPES[type.trim().toLowerCase()];
+      if (constName && typeof FMOD[constName] === "number") {
+        mask |= FMOD[constName];
+      } else if (type.trim()) {
+        console.warn(`Unknown event callback type "${type}"`);
+      }
+    }
+    return mask;
+  }
+
+  /**
+   * Update the FMOD callback of an instance to cover its subscriptions and stop waiters
+   * @private
+   * @returns {boolean} False if the callback could not be set
+   */
+  _applyInstanceCallback(id, data) {
+    if (!data.instance) return false;
+
+    let mask =
+      data.stopWaiters.length > 0 ? FMOD.STUDIO_EVENT_CALLBACK_STOPPED : 0;
+    for (const sub of this.callbackSubscriptions.values()) {
+      if (this._instanceMatches(id, data, sub.name, sub.tag)) {
+        mask |= sub.mask;
+      }
+    }
+    if (mask === data.callbackMask) return true;
+
+    if (!data.callback) {
+      // Capture data so callbacks still resolve after the instance is untracked
+      data.callback = (type, event, parameters) =>
+        this._onInstanceCallback(id, data, type, parameters);
+    }
+
+    const result = data.instance.setCallback(data.callback, mask);
+    if (result !== FMOD.OK) {
+      console.warn(`Failed to set event callback: ${FMOD.ErrorString(result)}`);
+      return false;
+    }
+    data.callbackMask = mask;
+    return true;
+  }
+
+  /**
+   * FMOD callback entry point for tracked instances
+   * @private
+   */
+  _onInstanceCallback(id, data, type, parameters) {
+    try {
+      if (type === FMOD.STUDIO_EVENT_CALLBACK_STOPPED) {
+        this._resolveStopWaiters(data);
+      }
+
+      let typeName = null;
+      for (const [key, constName] of Object.entries(EVENT_CALLBACK_TYPES)) {
+        if (FMOD[constName] === type) {
+          typeName = key;
+          break;
+        }
+      }
+
+      for (const [subscriptionId, sub] of this.callbackSubscriptions) {
+        if (!(sub.mask & type)) continue;
+        if (!this._instanceMatches(id, data, sub.name, sub.tag)) continue;
+
+        this.pendingCallbacks.push({
+          subscriptionId,
+          instanceId: id,
+          name: data.name,
+          tags: Array.from(data.tags),
+          type: typeName,
+          ...this._readCallbackParameters(type, parameters),
+        });
+      }
+    } catch (error) {
+      console.warn(`Error in event callback:`, error);
+    }
+    return FMOD.OK;
+  }
+
+  /**
+   * Extract serializable data from FMOD callback parameters
+   * @private
+   */
+  _readCallbackParameters(type, parameters) {
+    if (!parameters) return {};
+
+    if (type === FMOD.STUDIO_EVENT_CALLBACK_TIMELINE_MARKER) {
+      return { marker: parameters.name, position: parameters.position };
+    }
+
+    if (
+      type === FMOD.STUDIO_EVENT_CALLBACK_TIMELINE_BEAT ||
+      type === FMOD.STUDIO_EVENT_CALLBACK_NESTED_TIMELINE_BEAT
+    ) {
+      // Nested beats wrap the beat properties
+      const beat = parameters.properties || parameters;
+      return {
+        bar: beat.bar,
+        beat: beat.beat,
+        position: beat.position,
+        tempo: beat.tempo,
+        timeSignatureUpper: beat.timesignatureupper,
+        timeSignatureLower: beat.timesignaturelower,
+      };
+    }
+
+    return {};
+  }
+
+  /**
+   * Resolve and clear pending waitForEventStop promises of an instance
+   * @private
+   */
+  _resolveStopWaiters(data) {
+    if (!data.stopWaiters || data.stopWaiters.length === 0) return;
+    const waiters = data.stopWaiters;
+    data.stopWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+
+  /**
+   * Dispatch queued callbacks to onEventCallback
+   * @private
+   */
+  _flushEventCallbacks() {
+    if (this.pendingCallbacks.length === 0) return;
+
+    const callbacks = this.pendingCallbacks;
+    this.pendingCallbacks = [];
+    if (!this.onEventCallback) return;
+
+    for (const info of callbacks) {
+      try {
+        this.onEventCallback(info);
+      } catch (error) {
+        console.warn(`Error dispatching event callback:`, error);
+      }
+    }
+  }
+
+  // ==================== Event Queries ====================
+
+  /**
+   * Get the state of the first matching event instance
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @returns {Object|null} Instance state or null if nothing matches
+   */
+  getEventState(name, tag) {
+    const [match] = this._getMatchingInstances(name, tag);
+    if (!match) return null;
+
+    const { id, data } = match;
+    const instance = data.instance;
+    const out = {};
+    const out2 = {};
+    const state = {
+      id,
+      name: data.name,
+      tags: Array.from(data.tags),
+      autoRelease: data.autoRelease,
+      playbackState: null,
+      paused: null,
+      timelinePosition: null,
+      volume: null,
+      finalVolume: null,
+      pitch: null,
+      finalPitch: null,
+      attributes: null,
+    };
+
+    if (instance.getPlaybackState(out) === FMOD.OK) {
+      state.playbackState = this._getPlaybackStateName(out.val);
+    }
+    // Own pause and volume, tag nodes are reported separately in tagMix
+    state.paused = data.paused;
+    state.tagMix = this._getTagMix(data);
+    if (instance.getTimelinePosition(out) === FMOD.OK) {
+      state.timelinePosition = out.val;
+    }
+    if (instance.getVolume(out, out2) === FMOD.OK) {
+      state.volume = data.volume;
+      state.finalVolume = out2.val;
+    }
+    if (instance.getPitch(out, out2) === FMOD.OK) {
+      state.pitch = out.val;
+      state.finalPitch = out2.val;
+    }
+    if (instance.get3DAttributes(out) === FMOD.OK && out.val) {
+      state.attributes = {
+        position: this._readVector(out.val.position),
+        velocity: this._readVector(out.val.velocity),
+        forward: this._readVector(out.val.forward),
+        up: this._readVector(out.val.up),
+      };
+    }
+
+    return state;
+  }
+
+  /**
+   * Get a parameter value from the first matching event instance
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {string|Object} param - Parameter name or ID
+   * @param {boolean} isId - True if param is an ID object
+   * @returns {Object|null} { value, finalValue } or null on failure
+   */
+  getEventParameter(name, tag, param, isId) {
+    const [match] = this._getMatchingInstances(name, tag);
+    if (!match) return null;
+
+    const valueOut = {};
+    const finalValueOut = {};
+    let result;
+    if (isId) {
+      result = match.data.instance.getParameterByID(
+        param,
+        valueOut,
+        finalValueOut
+      );
+    } else {
+      result = match.data.instance.getParameterByName(
+        param,
+        valueOut,
+        finalValueOut
+      );
+    }
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to get parameter "${param}": ${FMOD.ErrorString(result)}`
+      );
+      return null;
+    }
+
+    return { value: valueOut.val, finalValue: finalValueOut.val };
+  }
+
+  /**
+   * Get a readable name for an FMOD playback state
+   * @private
+   */
+  _getPlaybackStateName(state) {
+    switch (state) {
+      case FMOD.STUDIO_PLAYBACK_PLAYING:
+        return "playing";
+      case FMOD.STUDIO_PLAYBACK_SUSTAINING:
+        return "sustaining";
+      case FMOD.STUDIO_PLAYBACK_STOPPED:
+        return "stopped";
+      case FMOD.STUDIO_PLAYBACK_STARTING:
+        return "starting";
+      case FMOD.STUDIO_PLAYBACK_STOPPING:
+        return "stopping";
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Copy an FMOD vector into a plain object
+   * @private
+   */
+  _readVector(vector) {
+    if (!vector) return null;
+    return { x: vector.x, y: vector.y, z: vector.z };
+  }
+
+  // ==================== 3D Positioning ====================
+
+  /**
+   * Set 3D attributes on matching events
+   * @param {string|null} name - Event name (null for any)
+   * @param {string|number|null} tag - Tag or instance ID
+   * @param {number} x - Position X
+   * @param {number} y - Position Y
+   * @param {number} z - Position Z
+   * @param {number} vx - Velocity X
+   * @param {number} vy - Velocity Y
+   * @param {number} vz - Velocity Z
+   * @param {number} fx - Forward X
+   * @param {number} fy - Forward Y
+   * @param {number} fz - Forward Z
+   * @param {number} ux - Up X
+   * @param {number} uy - Up Y
+   * @param {number} uz - Up Z
+   */
+  setEvent3DAttributes(name, tag, x, y, z, vx, vy, vz, fx, fy, fz, ux, uy, uz) {
+    this.currentCycleCalls.push({
+      method: "setEvent3DAttributes",
+      params: { name, tag, x, y, z, vx, vy, vz, fx, fy, fz, ux, uy, uz },
+      timestamp: Date.now(),
+    });
+
+    const instances = this._getMatchingInstances(name, tag);
+
+    const attributes = FMOD._3D_ATTRIBUTES();
+    attributes.position.x = x;
+    attributes.position.y = y;
+    attributes.position.z = z;
+    attributes.velocity.x = vx;
+    attributes.velocity.y = vy;
+    attributes.velocity.z = vz;
+    attributes.forward.x = fx;
+    attributes.forward.y = fy;
+    attributes.forward.z = fz;
+    attributes.up.x = ux;
+    attributes.up.y = uy;
+    attributes.up.z = uz;
+
+    for (const { data } of instances) {
+      const result = data.instance.set3DAttributes(attributes);
+      if (result !== FMOD.OK) {
+        console.warn(
+          `Failed to set 3D attributes: ${FMOD.ErrorString(result)}`
+        );
+      }
+    }
+
+    // Note: Do not manually delete attributes - FMOD copies the data and
+    // Emscripten's GC will handle cleanup. Manual deletion can cause
+    // "Cannot use deleted val" errors during system.update()
+  }
+
+  /**
+   * Check if an FMOD instance handle is still valid
+   * @private
+   * @param {Object} instance - FMOD event instance
+   * @returns {boolean} True if valid
+   */
+  _isInstanceValid(instance) {
+    if (!instance) return false;
+
+    try {
+      return instance.isValid();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Set listener 3D attributes
+   * @param {number} id - Listener index
+   * @param {number} x - Position X
+   * @param {number} y - Position Y
+   * @param {number} z - Position Z
+   * @param {number} vx - Velocity X
+   * @param {number} vy - Velocity Y
+   * @param {number} vz - Velocity Z
+   * @param {number} fx - Forward X
+   * @param {number} fy - Forward Y
+   * @param {number} fz - Forward Z
+   * @param {number} ux - Up X
+   * @param {number} uy - Up Y
+   * @param {number} uz - Up Z
+   * @param {boolean} hasSeparateAttenuationPosition - Has separate attenuation position
+   * @param {number} ax - Attenuation position X
+   * @param {number} ay - Attenuation position Y
+   * @param {number} az - Attenuation position Z
+   */
+  setListener3DAttributes(
+    id,
+    x,
+    y,
+    z,
+    vx,
+    vy,
+    vz,
+    fx,
+    fy,
+    fz,
+    ux,
+    uy,
+    uz,
+    hasSeparateAttenuationPosition = false,
+    ax = 0,
+    ay = 0,
+    az = 0
+  ) {
+    this.currentCycleCalls.push({
+      method: "setListener3DAttributes",
+      params: {
+        id,
+        x,
+        y,
+        z,
+        vx,
+        vy,
+        vz,
+        fx,
+        fy,
+        fz,
+        ux,
+        uy,
+        uz,
+        hasSeparateAttenuationPosition,
+        ax,
+        ay,
+        az,
+      },
       timestamp: Date.now(),
     });
-    const instances = this._getMatchingInstances(name, tag);
+    const attributes = FMOD._3D_ATTRIBUTES();
+    attributes.position.x = x;
+    attributes.position.y = y;
+    attributes.position.z = z;
+    attributes.velocity.x = vx;
+    attributes.velocity.y = vy;
+    attributes.velocity.z = vz;
+    attributes.forward.x = fx;
+    attributes.forward.y = fy;
+    attributes.forward.z = fz;
+    attributes.up.x = ux;
+    attributes.up.y = uy;
+    attributes.up.z = uz;
 
-    for (const { data } of instances) {
-      let result;
-      if (isId) {
-        result = data.instance.setParameterByIDWithLabel(
-          param,
-          label,
-          ignoreSeekSpeed
-        );
-      } else {
-        result = data.instance.setParameterByNameWithLabel(
-          param,
-          label,
-          ignoreSeekSpeed
-        );
-      }
-      if (result !== FMOD.OK) {
-        console.warn(
-          `Failed to set parameter "${param}" with label: ${FMOD.ErrorString(
-            result
-          )}`
-        );
-      }
+    let attenuationPosition = null;
+    if (hasSeparateAttenuationPosition) {
+      attenuationPosition = FMOD.VECTOR();
+      attenuationPosition.x = ax;
+      attenuationPosition.y = ay;
+      attenuationPosition.z = az;
+    }
+
+    const result = this.system.setListenerAttributes(
+      id,
+      attributes,
+      attenuationPosition
+    );
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to set listener ${id} attributes: ${FMOD.ErrorString(result)}`
+      );
     }
+
+    // Note: Do not manually delete attributes/attenuationPosition - FMOD copies
+    // the data and Emscripten's GC will handle cleanup. Manual deletion can cause
+    // "Cannot use deleted val" errors during system.update()
   }
 
   /**
-   * Set a global parameter
-   * @param {string|Object} param - Parameter name or ID
-   * @param {boolean} isId - True if param is an ID object
-   * @param {number} value - Parameter value
-   * @param {boolean} ignoreSeekSpeed - Ignore seek speed
+   * Set listener weight
+   * @param {number} id - Listener index
+   * @param {number} weight - Weight value (0.0 to 1.0)
    */
-  setGlobalParameter(param, isId, value, ignoreSeekSpeed = false) {
+  setListenerWeight(id, weight) {
     this.currentCycleCalls.push({
-      method: "setGlobalParameter",
-      params: { param, isId, value, ignoreSeekSpeed },
+      method: "setListenerWeight",
+      params: { id, weight },
       timestamp: Date.now(),
     });
-    let result;
-    if (isId) {
-      result = this.system.setParameterByID(param, value, ignoreSeekSpeed);
-    } else {
-      result = this.system.setParameterByName(param, value, ignoreSeekSpeed);
+    const result = this.system.setListenerWeight(id, weight);
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to set listener ${id} weight: ${FMOD.ErrorString(result)}`
+      );
+    }
+  }
+
+  /**
+   * Set number of listeners
+   * @param {number} nb - Number of listeners
+   */
+  setNbListeners(nb) {
+    const result = this.system.setNumListeners(nb);
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to set number of listeners: ${FMOD.ErrorString(result)}`
+      );
+    }
+  }
+
+  // ==================== Bus Control ====================
+
+  /**
+   * Get a bus handle
+   * @private
+   */
+  _getBus(busPath) {
+    const outval = {};
+    const result = this.system.getBus(busPath, outval);
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to get bus "${busPath}": ${FMOD.ErrorString(result)}`
+      );
+      return null;
+    }
+    return outval.val;
+  }
+
+  /**
+   * Set bus muted state
+   * @param {string} bus - Bus path (e.g., 'bus:/Music')
+   * @param {boolean} muted - Muted state
+   */
+  setBusMuted(bus, muted) {
+    const busHandle = this._getBus(bus);
+    if (!busHandle) return;
+    this.trackedBuses.add(bus);
+
+    const result = busHandle.setMute(muted);
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to set bus "${bus}" muted: ${FMOD.ErrorString(result)}`
+      );
+    }
+  }
+
+  /**
+   * Set bus volume
+   * @param {string} bus - Bus path
+   * @param {number} volume - Volume (0.0 to 1.0)
+   */
+  setBusVolume(bus, volume) {
+    this.cancelTween(this._busVolumeTweenKey(bus));
+    const busHandle = this._getBus(bus);
+    if (!busHandle) return;
+    this.trackedBuses.add(bus);
+
+    const result = busHandle.setVolume(volume);
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to set bus "${bus}" volume: ${FMOD.ErrorString(result)}`
+      );
+    }
+  }
+
+  /**
+   * Fade bus volume to a target over time
+   * Starting a new fade on the same bus retargets it from its current volume.
+   * @param {string} bus - Bus path
+   * @param {number} volume - Target volume
+   * @param {number} duration - Duration in milliseconds
+   * @param {string} curve - Easing curve
+   * @returns {Promise<boolean>} Resolves true when completed, false if cancelled or retargeted
+   */
+  fadeBusVolume(bus, volume, duration, curve) {
+    const busHandle = this._getBus(bus);
+    if (!busHandle) return Promise.resolve(false);
+    this.trackedBuses.add(bus);
+
+    return this._fadeMixerVolume(
+      busHandle,
+      this._busVolumeTweenKey(bus),
+      volume,
+      duration,
+      curve
+    );
+  }
+
+  /**
+   * Cancel a running bus fade, leaving the volume where it is
+   * @param {string} bus - Bus path
+   */
+  cancelBusFade(bus) {
+    this.cancelTween(this._busVolumeTweenKey(bus));
+  }
+
+  /**
+   * Tween key of a bus volume
+   * @private
+   */
+  _busVolumeTweenKey(bus) {
+    return `bus:${bus}:volume`;
+  }
+
+  /**
+   * Fade the volume of a bus or VCA handle
+   * @private
+   */
+  _fadeMixerVolume(handle, key, volume, duration, curve) {
+    const volumeOut = {};
+    const result = handle.getVolume(volumeOut, {});
+    if (result !== FMOD.OK) {
+      console.warn(`Failed to get volume: ${FMOD.ErrorString(result)}`);
+      return Promise.resolve(false);
+    }
+
+    return this.startTween(key, {
+      from: volumeOut.val,
+      to: volume,
+      duration,
+      curve,
+      apply: (v) => handle.setVolume(v) === FMOD.OK,
+    });
+  }
+
+  /**
+   * Set bus paused state
+   * @param {string} bus - Bus path
+   * @param {boolean} paused - Paused state
+   */
+  setBusPaused(bus, paused) {
+    const busHandle = this._getBus(bus);
+    if (!busHandle) return;
+    this.trackedBuses.add(bus);
+
+    const result = busHandle.setPaused(paused);
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to set bus "${bus}" paused: ${FMOD.ErrorString(result)}`
+      );
+    }
+  }
+
+  /**
+   * Stop all events on a bus
+   * @param {string} bus - Bus path
+   */
+  stopAllBusEvents(bus) {
+    const busHandle = this._getBus(bus);
+    if (!busHandle) return;
+
+    const result = busHandle.stopAllEvents(FMOD.STUDIO_STOP_ALLOWFADEOUT);
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to stop all events on bus "${bus}": ${FMOD.ErrorString(result)}`
+      );
+    }
+  }
+
+  /**
+   * Get the mixer state of a bus
+   * CPU usage is only reported when profiling is enabled in FMOD.
+   * @param {string} bus - Bus path
+   * @returns {Object|null} Bus state or null if the bus was not found
+   */
+  getBusState(bus) {
+    const busHandle = this._getBus(bus);
+    if (!busHandle) return null;
+
+    const out = {};
+    const out2 = {};
+    const state = {
+      bus,
+      volume: null,
+      finalVolume: null,
+      muted: null,
+      paused: null,
+      cpuUsage: null,
+      memoryUsage: null,
+    };
+
+    if (busHandle.getVolume(out, out2) === FMOD.OK) {
+      state.volume = out.val;
+      state.finalVolume = out2.val;
+    }
+    if (busHandle.getMute(out) === FMOD.OK) {
+      state.muted = !!out.val;
+    }
+    if (busHandle.getPaused(out) === FMOD.OK) {
+      state.paused = !!out.val;
+    }
+    if (busHandle.getCPUUsage(out, out2) === FMOD.OK) {
+      state.cpuUsage = { exclusive: out.val, inclusive: out2.val };
+    }
+    if (busHandle.getMemoryUsage(out) === FMOD.OK && out.val) {
+      state.memoryUsage = {
+        exclusive: out.val.exclusive,
+        inclusive: out.val.inclusive,
+        sampleData: out.val.sampledata,
+      };
+    }
+
+    return state;
+  }
+
+  // ==================== VCA Control ====================
+
+  /**
+   * Get a VCA handle
+   * @private
+   */
+  _getVCA(vcaPath) {
+    const outval = {};
+    const result = this.system.getVCA(vcaPath, outval);
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to get VCA "${vcaPath}": ${FMOD.ErrorString(result)}`
+      );
+      return null;
     }
+    return outval.val;
+  }
+
+  /**
+   * Set VCA volume
+   * @param {string} vca - VCA path (e.g., 'vca:/Music')
+   * @param {number} volume - Volume (0.0 to 1.0)
+   */
+  setVCAVolume(vca, volume) {
+    this.cancelTween(this._vcaVolumeTweenKey(vca));
+    const vcaHandle = this._getVCA(vca);
+    if (!vcaHandle) return;
+    this.trackedVCAs.add(vca);
+
+    const result = vcaHandle.setVolume(volume);
     if (result !== FMOD.OK) {
       console.warn(
-        `Failed to set global parameter "${param}": ${FMOD.ErrorString(result)}`
+        `Failed to set VCA "${vca}" volume: ${FMOD.ErrorString(result)}`
       );
     }
   }
 
   /**
-   * Set a global parameter with label
-   * @param {string|Object} param - Parameter name or ID
-   * @param {boolean} isId - True if param is an ID object
-   * @param {string} label - Label value
-   * @param {boolean} ignoreSeekSpeed - Ignore seek speed
+   * Get VCA volume
+   * @param {string} vca - VCA path
+   * @returns {Object|null} { volume, finalVolume } or null on failure
    */
-  setGlobalParameterWithLabel(param, isId, label, ignoreSeekSpeed = false) {
-    this.currentCycleCalls.push({
-      method: "setGlobalParameterWithLabel",
-      params: { param, isId, label, ignoreSeekSpeed },
-      timestamp: Date.now(),
-    });
-    let result;
-    if (isId) {
-      result = this.system.setParameterByIDWithLabel(
-        param,
-        label,
-        ignoreSeekSpeed
-      );
-    } else {
-      result = this.system.setParameterByNameWithLabel(
-        param,
-        label,
-        ignoreSeekSpeed
-      );
-    }
+  getVCAVolume(vca) {
+    const vcaHandle = this._getVCA(vca);
+    if (!vcaHandle) return null;
+
+    const volumeOut = {};
+    const finalVolumeOut = {};
+    const result = vcaHandle.getVolume(volumeOut, finalVolumeOut);
     if (result !== FMOD.OK) {
       console.warn(
-        `Failed to set global parameter "${param}" with label: ${FMOD.ErrorString(
-          result
-        )}`
+        `Failed to get VCA "${vca}" volume: ${FMOD.ErrorString(result)}`
       );
+      return null;
     }
-  }
 
-  // ==================== Event Control ====================
+    return { volume: volumeOut.val, finalVolume: finalVolumeOut.val };
+  }
 
   /**
-   * Stop matching events
-   * @param {string|null} name - Event name (null for any)
-   * @param {string|number|null} tag - Tag or instance ID
-   * @param {boolean} allowFadeOut - Allow fade out
-   * @param {boolean} release - Release after stopping
+   * Fade VCA volume to a target over time
+   * Starting a new fade on the same VCA retargets it from its current volume.
+   * @param {string} vca - VCA path
+   * @param {number} volume - Target volume
+   * @param {number} duration - Duration in milliseconds
+   * @param {string} curve - Easing curve
+   * @returns {Promise<boolean>} Resolves true when completed, false if cancelled or retargeted
    */
-  stopEvent(name, tag, allowFadeOut = true, release = true) {
-    this.currentCycleCalls.push({
-      method: "stopEvent",
-      params: { name, tag, allowFadeOut, release },
-      timestamp: Date.now(),
-    });
-    const instances = this._getMatchingInstances(name, tag);
-    const stopMode = allowFadeOut
-      ? FMOD.STUDIO_STOP_ALLOWFADEOUT
-      : FMOD.STUDIO_STOP_IMMEDIATE;
-
-    for (const { id, data } of instances) {
-      if (release) {
-        // Queue instance for stop and release on next tick
-        // This prevents queued operations from accessing it
-        this.pendingRelease.push({
-          instance: data.instance,
-          stopMode: stopMode,
-        });
-
-        // Remove from tracking immediately to prevent further operations
-        data.released = true;
-        data.instance = null; // Clear reference so it's not used
-        this._removeInstance(id);
-      } else {
-        // Just stop without release
-        const result = data.instance.stop(stopMode);
-        if (result !== FMOD.OK) {
-          console.warn(`Failed to stop instance: ${FMOD.ErrorString(result)}`);
-        }
-      }
-    }
+  fadeVCAVolume(vca, volume, duration, curve) {
+    const vcaHandle = this._getVCA(vca);
+    if (!vcaHandle) return Promise.resolve(false);
+    this.trackedVCAs.add(vca);
+
+    return this._fadeMixerVolume(
+      vcaHandle,
+      this._vcaVolumeTweenKey(vca),
+      volume,
+      duration,
+      curve
+    );
   }
 
   /**
-   * Stop all instances of a specific event
-   * @param {string} name - Event name
-   * @param {boolean} allowFadeOut - Allow fade out
-   * @param {boolean} release - Release after stopping
+   * Cancel a running VCA fade, leaving the volume where it is
+   * @param {string} vca - VCA path
    */
-  stopAllEventInstances(name, allowFadeOut = true, release = true) {
-    this.currentCycleCalls.push({
-      method: "stopAllEventInstances",
-      params: { name, allowFadeOut, release },
-      timestamp: Date.now(),
-    });
-    this.stopEvent(name, null, allowFadeOut, release);
+  cancelVCAFade(vca) {
+    this.cancelTween(this._vcaVolumeTweenKey(vca));
   }
 
   /**
-   * Stop all event instances
-   * @param {boolean} allowFadeOut - Allow fade out
-   * @param {boolean} release - Release after stopping
+   * Tween key of a VCA volume
+   * @private
    */
-  stopAllEvents(allowFadeOut = true, release = true) {
-    this.currentCycleCalls.push({
-      method: "stopAllEvents",
-      params: { allowFadeOut, release },
-      timestamp: Date.now(),
-    });
-    this.stopEvent(null, null, allowFadeOut, release);
+  _vcaVolumeTweenKey(vca) {
+    return `vca:${vca}:volume`;
   }
 
+  // ==================== System Control ====================
+
   /**
-   * Release all instances of a specific event
-   * @param {string} name - Event name
+   * Set suspended state (suspend/resume mixer)
+   * @param {boolean} suspended - Suspended state
    */
-  releaseAllEventInstances(name) {
-    this.currentCycleCalls.push({
-      method: "releaseAllEventInstances",
-      params: { name },
-      timestamp: Date.now(),
-    });
-    const instances = this._getMatchingInstances(name, null);
+  setSuspended(suspended) {
+    if (!this.coreSystem) return;
 
-    for (const { id, data } of instances) {
-      if (!data.released) {
-        // Queue instance for release on next tick (already stopped)
-        this.pendingRelease.push({
-          instance: data.instance,
-          stopMode: null, // Already stopped, just release
-        });
+    let result;
+    if (suspended) {
+      result = this.coreSystem.mixerSuspend();
+    } else {
+      result = this.coreSystem.mixerResume();
+    }
 
-        // Remove from tracking immediately to prevent further operations
-        data.released = true;
-        data.instance = null; // Clear reference so it's not used
-        this._removeInstance(id);
-      }
+    if (result !== FMOD.OK) {
+      console.warn(
+        `Failed to set suspended state: ${FMOD.ErrorString(result)}`
+      );
     }
   }
 
   /**
-   * Set paused state on matching events
-   * @param {string|null} name - Event name (null for any)
-   * @param {string|number|null} tag - Tag or instance ID
-   * @param {boolean} paused - Paused state
+   * Resume audio (for iOS/Chrome workaround)
+   * Handles OutputAudioWorklet resumption and mixer suspend/resume
    */
-  setEventPaused(name, tag, paused) {
-    this.currentCycleCalls.push({
-      method: "setEventPaused",
-      params: { name, tag, paused },
-      timestamp: Date.now(),
-    });
-    const instances = this._getMatchingInstances(name, tag);
-    for (const { data } of instances) {
-      const result = data.instance.setPaused(paused);
-      if (result !== FMOD.OK) {
-        console.warn(`Failed to set paused state: ${FMOD.ErrorString(result)}`);
+  resumeAudio() {
+    if (!this.initialized || !this.coreSystem) return;
+
+    try {
+      // Call OutputAudioWorklet_resumeAudio if available
+      if (typeof FMOD["OutputAudioWorklet_resumeAudio"] === "function") {
+        FMOD["OutputAudioWorklet_resumeAudio"]();
       }
+
+      // Suspend and resume mixer to kick the audio context
+      this.coreSystem.mixerSuspend();
+      this.coreSystem.mixerResume();
+    } catch (error) {
+      console.warn("Failed to resume audio:", error);
     }
   }
 
   /**
-   * Set timeline position on matching events
-   * @param {string|null} name - Event name (null for any)
-   * @param {string|number|null} tag - Tag or instance ID
-   * @param {number} position - Position in milliseconds
+   * Set up audio resume handlers for iOS/Chrome workaround
+   * Sets up event listeners that resume audio on user interaction
    */
-  setEventTimelinePosition(name, tag, position) {
-    this.currentCycleCalls.push({
-      method: "setEventTimelinePosition",
-      params: { name, tag, position },
-      timestamp: Date.now(),
+  setupAudioResumeHandlers() {
+    let audioResumed = false;
+    // Listen to various user interaction events
+    const interactionEvents = [
+      "click",
+      "touchstart",
+      "keydown",
+      "mousedown",
+      "mouseup",
+      "touchend",
+      "touchcancel",
+    ];
+
+    const resumeOnInteraction = (real = true) => {
+      if (!audioResumed && this.initialized) {
+        this.resumeAudio();
+        if (real) {
+          audioResumed = true;
+          // Mark FMOD as having received input
+          if (FMOD) {
+            FMOD.mInputRegistered = true;
+          }
+          // Remove all listeners after first real interaction
+          interactionEvents.forEach((eventType) => {
+            document.removeEventListener(eventType, resumeOnInteraction);
+          });
+        }
+      }
+    };
+
+    interactionEvents.forEach((eventType) => {
+      document.addEventListener(eventType, resumeOnInteraction, { once: true });
     });
-    const instances = this._getMatchingInstances(name, tag);
-    for (const { data } of instances) {
-      const result = data.instance.setTimelinePosition(position);
-      if (result !== FMOD.OK) {
-        console.warn(
-          `Failed to set timeline position: ${FMOD.ErrorString(result)}`
-        );
+
+    // Attempt initial resume
+    resumeOnInteraction(false);
+  }
+
+  // ==================== State Serialization ====================
+
+  /**
+   * Serialize tracked instances and the mixer state touched through the wrapper
+   * @returns {Object} JSON-compatible state, restorable with restoreState
+   */
+  serializeState() {
+    const instances = [];
+    for (const [id, data] of this.instances) {
+      if (data.released) continue;
+      const state = this.getEventState(null, id);
+      if (!state) continue;
+      state.parameters = this._getInstanceParameterValues(data);
+      instances.push(state);
+    }
+
+    const globalParameters = [];
+    for (const { param, isId } of this.trackedGlobalParameters.values()) {
+      const value = this._getInstanceParameterValue(this.system, param, isId);
+      if (value !== null) globalParameters.push({ param, isId, value });
+    }
+
+    const buses = [];
+    for (const bus of this.trackedBuses) {
+      const state = this.getBusState(bus);
+      if (state) {
+        buses.push({
+          bus,
+          volume: state.volume,
+          muted: state.muted,
+          paused: state.paused,
+        });
       }
     }
+
+    const vcas = [];
+    for (const vca of this.trackedVCAs) {
+      const state = this.getVCAVolume(vca);
+      if (state) vcas.push({ vca, volume: state.volume });
+    }
+
+    const tagStates = Array.from(this.tagStates, ([tag, node]) => ({
+      tag,
+      ...node,
+    }));
+
+    return { instances, globalParameters, buses, vcas, tagStates };
   }
 
   /**
-   * Wait for matching events to stop
-   * @param {string|null} name - Event name (null for any)
-   * @param {string|number|null} tag - Tag or instance ID
-   * @returns {Promise} Resolves when all matching events have stopped
+   * Restore a state produced by serializeState
+   * Stops all current instances and recreates the saved ones under new IDs.
+   * Banks used by the saved events must already be loaded.
+   * @param {Object} state - Serialized state
+   * @returns {Object} Map of saved instance ID -> new instance ID
    */
-  waitForEventStop(name, tag) {
-    this.currentCycleCalls.push({
-      method: "waitForEventStop",
-      params: { name, tag },
-      timestamp: Date.now(),
-    });
-    const instances = this._getMatchingInstances(name, tag);
+  restoreState(state) {
+    this.stopAllEvents(false, true);
 
-    if (instances.length === 0) {
-      return Promise.resolve();
+    // Before instances, which inherit from tag nodes when created
+    this.tagStates.clear();
+    for (const { tag, paused, volume, muted } of state.tagStates || []) {
+      this.tagStates.set(tag, { paused, volume, muted });
     }
 
-    return Promise.all(
-      instances.map(({ data }) => {
-        return new Promise((resolve) => {
-          const result = data.instance.setCallback(
-            () => resolve(),
-            FMOD.STUDIO_EVENT_CALLBACK_STOPPED
-          );
-          if (result !== FMOD.OK) {
-            console.warn(
-              `Failed to set callback for waitForEventStop: ${FMOD.ErrorString(
-                result
-              )}`
-            );
-            resolve(); // Resolve anyway to avoid hanging
-          }
-        });
-      })
-    );
-  }
+    for (const { param, isId, value } of state.globalParameters || []) {
+      this.setGlobalParameter(param, isId, value, true);
+    }
 
-  // ==================== 3D Positioning ====================
+    for (const { bus, volume, muted, paused } of state.buses || []) {
+      if (volume !== null) this.setBusVolume(bus, volume);
+      if (muted !== null) this.setBusMuted(bus, muted);
+      if (paused !== null) this.setBusPaused(bus, paused);
+    }
+
+    for (const { vca, volume } of state.vcas || []) {
+      if (volume !== null) this.setVCAVolume(vca, volume);
+    }
+
+    const idMap = {};
+    for (const saved of state.instances || []) {
+      const id = this._restoreInstance(saved);
+      if (id !== null) idMap[saved.id] = id;
+    }
+    return idMap;
+  }
 
   /**
-   * Set 3D attributes on matching events
-   * @param {string|null} name - Event name (null for any)
-   * @param {string|number|null} tag - Tag or instance ID
-   * @param {number} x - Position X
-   * @param {number} y - Position Y
-   * @param {number} z - Position Z
-   * @param {number} vx - Velocity X
-   * @param {number} vy - Velocity Y
-   * @param {number} vz - Velocity Z
-   * @param {number} fx - Forward X
-   * @param {number} fy - Forward Y
-   * @param {number} fz - Forward Z
-   * @param {number} ux - Up X
-   * @param {number} uy - Up Y
-   * @param {number} uz - Up Z
+   * Recreate a single serialized instance
+   * @private
+   * @returns {number|null} New instance ID or null on failure
    */
-  setEvent3DAttributes(name, tag, x, y, z, vx, vy, vz, fx, fy, fz, ux, uy, uz) {
-    this.currentCycleCalls.push({
-      method: "setEvent3DAttributes",
-      params: { name, tag, x, y, z, vx, vy, vz, fx, fy, fz, ux, uy, uz },
-      timestamp: Date.now(),
-    });
+  _restoreInstance(saved) {
+    const id = this.instantiateEvent(saved.name, saved.tags.join(" "));
+    if (id === null) return null;
 
-    const instances = this._getMatchingInstances(name, tag);
+    const data = this.instances.get(id);
+    const instance = data.instance;
+    data.autoRelease = saved.autoRelease;
 
-    const attributes = FMOD._3D_ATTRIBUTES();
-    attributes.position.x = x;
-    attributes.position.y = y;
-    attributes.position.z = z;
-    attributes.velocity.x = vx;
-    attributes.velocity.y = vy;
-    attributes.velocity.z = vz;
-    attributes.forward.x = fx;
-    attributes.forward.y = fy;
-    attributes.forward.z = fz;
-    attributes.up.x = ux;
-    attributes.up.y = uy;
-    attributes.up.z = uz;
+    for (const [param, value] of Object.entries(saved.parameters || {})) {
+      instance.setParameterByName(param, value, true);
+    }
+    if (saved.volume !== null) data.volume = saved.volume;
+    data.paused = !!saved.paused;
+    this._applyInstanceMix(data);
+    if (saved.pitch !== null) instance.setPitch(saved.pitch);
+
+    const attr = saved.attributes;
+    if (attr) {
+      this.setEvent3DAttributes(
+        null,
+        id,
+        attr.position.x,
+        attr.position.y,
+        attr.position.z,
+        attr.velocity.x,
+        attr.velocity.y,
+        attr.velocity.z,
+        attr.forward.x,
+        attr.forward.y,
+        attr.forward.z,
+        attr.up.x,
+        attr.up.y,
+        attr.up.z
+      );
+    }
 
-    for (const { data } of instances) {
-      const result = data.instance.set3DAttributes(attributes);
+    // Stopped or stopping instances are only recreated, not restarted
+    const wasPlaying = ["playing", "sustaining", "starting"].includes(
+      saved.playbackState
+    );
+    if (wasPlaying) {
+      if (saved.timelinePosition) {
+        instance.setTimelinePosition(saved.timelinePosition);
+      }
+      const result = instance.start();
       if (result !== FMOD.OK) {
         console.warn(
-          `Failed to set 3D attributes: ${FMOD.ErrorString(result)}`
+          `Failed to restart restored event "${saved.name}": ${FMOD.ErrorString(
+            result
+          )}`
         );
+      } else {
+        data.started = true;
       }
     }
-
-    // Note: Do not manually delete attributes - FMOD copies the data and
-    // Emscripten's GC will handle cleanup. Manual deletion can cause
-    // "Cannot use deleted val" errors during system.update()
+    return id;
   }
 
   /**
-   * Check if an FMOD instance handle is still valid
+   * Read the values of the user-settable local parameters of an instance
    * @private
-   * @param {Object} instance - FMOD event instance
-   * @returns {boolean} True if valid
+   * @returns {Object} parameter name -> value
    */
-  _isInstanceValid(instance) {
-    if (!instance) return false;
+  _getInstanceParameterValues(data) {
+    const values = {};
+    const desc = this._getEventDescription(data.name);
+    if (!desc) return values;
+
+    const skipFlags =
+      FMOD.STUDIO_PARAMETER_READONLY |
+      FMOD.STUDIO_PARAMETER_AUTOMATIC |
+      FMOD.STUDIO_PARAMETER_GLOBAL;
+
+    for (const param of this._getParameterDescriptions(desc)) {
+      if (param.flags & skipFlags) continue;
+      const value = this._getInstanceParameterValue(
+        data.instance,
+        param.name,
+        false
+      );
+      if (value !== null) values[param.name] = value;
+    }
+    return values;
+  }
 
-    try {
-      return instance.isValid();
-    } catch (error) {
-      return false;
+  /**
+   * Read the parameter descriptions of an event description
+   * @private
+   * @returns {Array<Object>} Plain parameter descriptions
+   */
+  _getParameterDescriptions(desc) {
+    const params = [];
+    const countOut = {};
+    if (desc.getParameterDescriptionCount(countOut) !== FMOD.OK) return params;
+
+    for (let i = 0; i < countOut.val; i++) {
+      const paramOut = {};
+      if (desc.getParameterDescriptionByIndex(i, paramOut) !== FMOD.OK) {
+        continue;
+      }
+      const param = paramOut.val;
+      params.push({
+        name: param.name,
+        id: param.id ? { data1: param.id.data1, data2: param.id.data2 } : null,
+        minimum: param.minimum,
+        maximum: param.maximum,
+        defaultValue: param.defaultvalue,
+        type: param.type,
+        flags: param.flags,
+      });
     }
+    return params;
   }
 
   /**
-   * Set listener 3D attributes
-   * @param {number} id - Listener index
-   * @param {number} x - Position X
-   * @param {number} y - Position Y
-   * @param {number} z - Position Z
-   * @param {number} vx - Velocity X
-   * @param {number} vy - Velocity Y
-   * @param {number} vz - Velocity Z
-   * @param {number} fx - Forward X
-   * @param {number} fy - Forward Y
-   * @param {number} fz - Forward Z
-   * @param {number} ux - Up X
-   * @param {number} uy - Up Y
-   * @param {number} uz - Up Z
-   * @param {boolean} hasSeparateAttenuationPosition - Has separate attenuation position
-   * @param {number} ax - Attenuation position X
-   * @param {number} ay - Attenuation position Y
-   * @param {number} az - Attenuation position Z
+   * Remember a global parameter so its value is saved by serializeState
+   * @private
    */
-  setListener3DAttributes(
-    id,
-    x,
-    y,
-    z,
-    vx,
-    vy,
-    vz,
-    fx,
-    fy,
-    fz,
-    ux,
-    uy,
-    uz,
-    hasSeparateAttenuationPosition = false,
-    ax = 0,
-    ay = 0,
-    az = 0
-  ) {
-    this.currentCycleCalls.push({
-      method: "setListener3DAttributes",
-      params: {
-        id,
-        x,
-        y,
-        z,
-        vx,
-        vy,
-        vz,
-        fx,
-        fy,
-        fz,
-        ux,
-        uy,
-        uz,
-        hasSeparateAttenuationPosition,
-        ax,
-        ay,
-        az,
-      },
-      timestamp: Date.now(),
+  _trackGlobalParameter(param, isId) {
+    this.trackedGlobalParameters.set(this._parameterKey(param, isId), {
+      param,
+      isId,
     });
-    const attributes = FMOD._3D_ATTRIBUTES();
-    attributes.position.x = x;
-    attributes.position.y = y;
-    attributes.position.z = z;
-    attributes.velocity.x = vx;
-    attributes.velocity.y = vy;
-    attributes.velocity.z = vz;
-    attributes.forward.x = fx;
-    attributes.forward.y = fy;
-    attributes.forward.z = fz;
-    attributes.up.x = ux;
-    attributes.up.y = uy;
-    attributes.up.z = uz;
+  }
 
-    let attenuationPosition = null;
-    if (hasSeparateAttenuationPosition) {
-      attenuationPosition = FMOD.VECTOR();
-      attenuationPosition.x = ax;
-      attenuationPosition.y = ay;
-      attenuationPosition.z = az;
+  // ==================== Tag Queries ====================
+
+  /**
+   * Turn a tag argument into a query node
+   * @param {string|number|Array|null} tag - Selector string (see parseTagQuery),
+   *   instance ID, or array of IDs / selectors (matches any)
+   * @returns {Object|null} Query node, or null if the selector is invalid
+   * @private
+   */
+  _compileTagQuery(tag) {
+    if (typeof tag === "number") return { type: "id", id: tag };
+    if (Array.isArray(tag)) {
+      const nodes = tag.map((item) => this._compileTagQuery(item));
+      if (nodes.length === 0 || nodes.includes(null)) return null;
+      return nodes.reduce((left, right) => ({ type: "or", left, right }));
     }
+    if (typeof tag !== "string" || !tag.trim()) return { type: "all" };
 
-    const result = this.system.setListenerAttributes(
-      id,
-      attributes,
-      attenuationPosition
-    );
-    if (result !== FMOD.OK) {
+    const selector = tag.trim();
+    if (this.tagQueryCache.has(selector)) {
+      return this.tagQueryCache.get(selector);
+    }
+
+    let query;
+    try {
+      query = parseTagQuery(selector);
+    } catch (error) {
+      // Tags from before selectors existed may contain operator characters
       console.warn(
-        `Failed to set listener ${id} attributes: ${FMOD.ErrorString(result)}`
+        `Invalid tag selector, matching it as a plain tag: ${error.message}`
       );
+      query = { type: "tag", tag: selector };
     }
 
-    // Note: Do not manually delete attributes/attenuationPosition - FMOD copies
-    // the data and Emscripten's GC will handle cleanup. Manual deletion can cause
-    // "Cannot use deleted val" errors during system.update()
+    if (this.tagQueryCache.size >= this.maxTagQueryCacheSize) {
+      this.tagQueryCache.clear();
+    }
+    this.tagQueryCache.set(selector, query);
+    return query;
   }
 
   /**
-   * Set listener weight
-   * @param {number} id - Listener index
-   * @param {number} weight - Weight value (0.0 to 1.0)
+   * Check an instance against a query node
+   * @private
    */
-  setListenerWeight(id, weight) {
-    this.currentCycleCalls.push({
-      method: "setListenerWeight",
-      params: { id, weight },
-      timestamp: Date.now(),
-    });
-    const result = this.system.setListenerWeight(id, weight);
-    if (result !== FMOD.OK) {
-      console.warn(
-        `Failed to set listener ${id} weight: ${FMOD.ErrorString(result)}`
-      );
+  _testTagQuery(query, id, data) {
+    switch (query.type) {
+      case "all":
+        return true;
+      case "id":
+        return id === query.id;
+      case "tag":
+        return this._hasTag(data, query.tag);
+      case "wildcard":
+        for (const tag of data.tags) {
+          if (query.regex.test(tag)) return true;
+        }
+        return false;
+      case "not":
+        return !this._testTagQuery(query.expr, id, data);
+      case "and":
+        return (
+          this._testTagQuery(query.left, id, data) &&
+          this._testTagQuery(query.right, id, data)
+        );
+      case "or":
+        return (
+          this._testTagQuery(query.left, id, data) ||
+          this._testTagQuery(query.right, id, data)
+        );
+      default:
+        return false;
     }
   }
 
+  // ==================== Tag Hierarchy ====================
+
   /**
-   * Set number of listeners
-   * @param {number} nb - Number of listeners
+   * Pause or resume all instances under a tag node, including ones started later
+   * @param {string} tag - Tag path (e.g. "sfx/ui")
+   * @param {boolean} paused - Paused state
    */
-  setNbListeners(nb) {
-    const result = this.system.setNumListeners(nb);
-    if (result !== FMOD.OK) {
-      console.warn(
-        `Failed to set number of listeners: ${FMOD.ErrorString(result)}`
-      );
-    }
+  setTagPaused(tag, paused) {
+    this._updateTagState(tag, { paused: !!paused });
   }
 
-  // ==================== Bus Control ====================
-
   /**
-   * Get a bus handle
-   * @private
+   * Set the volume multiplier of a tag node, multiplied along the hierarchy
+   * @param {string} tag - Tag path (e.g. "sfx/ui")
+   * @param {number} volume - Volume multiplier (1.0 = unchanged)
    */
-  _getBus(busPath) {
-    const outval = {};
-    const result = this.system.getBus(busPath, outval);
-    if (result !== FMOD.OK) {
-      console.warn(
-        `Failed to get bus "${busPath}": ${FMOD.ErrorString(result)}`
-      );
-      return null;
-    }
-    return outval.val;
+  setTagVolume(tag, volume) {
+    this._updateTagState(tag, { volume });
   }
 
   /**
-   * Set bus muted state
-   * @param {string} bus - Bus path (e.g., 'bus:/Music')
+   * Mute or unmute all instances under a tag node
+   * @param {string} tag - Tag path (e.g. "sfx/ui")
    * @param {boolean} muted - Muted state
    */
-  setBusMuted(bus, muted) {
-    const busHandle = this._getBus(bus);
-    if (!busHandle) return;
+  setTagMuted(tag, muted) {
+    this._updateTagState(tag, { muted: !!muted });
+  }
 
-    const result = busHandle.setMute(muted);
-    if (result !== FMOD.OK) {
-      console.warn(
-        `Failed to set bus "${bus}" muted: ${FMOD.ErrorString(result)}`
-      );
-    }
+  /**
+   * Reset a tag node to the defaults (not paused, volume 1, not muted)
+   * @param {string} tag - Tag path
+   */
+  clearTagState(tag) {
+    this._updateTagState(tag, { paused: false, volume: 1, muted: false });
+  }
+
+  /**
+   * Get the state of a tag node and the state it ends up with through its ancestors
+   * @param {string} tag - Tag path
+   * @returns {Object} { tag, paused, volume, muted, effective: { paused, volume, muted } }
+   */
+  getTagState(tag) {
+    const path = this._normalizeTagPath(tag);
+    const node = this.tagStates.get(path) || {
+      paused: false,
+      volume: 1,
+      muted: false,
+    };
+    return {
+      tag: path,
+      ...node,
+      effective: this._combineTagStates(this._getTagAncestors(path)),
+    };
   }
 
   /**
-   * Set bus volume
-   * @param {string} bus - Bus path
-   * @param {number} volume - Volume (0.0 to 1.0)
+   * List tag nodes that have a non-default state
+   * @returns {Array<Object>} Tag node states
    */
-  setBusVolume(bus, volume) {
-    const busHandle = this._getBus(bus);
-    if (!busHandle) return;
-
-    const result = busHandle.setVolume(volume);
-    if (result !== FMOD.OK) {
-      console.warn(
-        `Failed to set bus "${bus}" volume: ${FMOD.ErrorString(result)}`
-      );
-    }
+  getTagStates() {
+    return Array.from(this.tagStates.keys(), (tag) => this.getTagState(tag));
   }
 
   /**
-   * Set bus paused state
-   * @param {string} bus - Bus path
-   * @param {boolean} paused - Paused state
+   * @private
    */
-  setBusPaused(bus, paused) {
-    const busHandle = this._getBus(bus);
-    if (!busHandle) return;
+  _updateTagState(tag, changes) {
+    const path = this._normalizeTagPath(tag);
+    if (!path) return;
 
-    const result = busHandle.setPaused(paused);
-    if (result !== FMOD.OK) {
-      console.warn(
-        `Failed to set bus "${bus}" paused: ${FMOD.ErrorString(result)}`
-      );
+    this.currentCycleCalls.push({
+      method: "updateTagState",
+      params: { tag: path, ...changes },
+      timestamp: Date.now(),
+    });
+
+    const node = {
+      paused: false,
+      volume: 1,
+      muted: false,
+      ...this.tagStates.get(path),
+      ...changes,
+    };
+    if (!node.paused && !node.muted && node.volume === 1) {
+      this.tagStates.delete(path);
+    } else {
+      this.tagStates.set(path, node);
+    }
+
+    for (const id of this._getTagIds(path)) {
+      const data = this.instances.get(id);
+      if (data && !data.released && data.instance) {
+        this._applyInstanceMix(data);
+      }
     }
   }
 
   /**
-   * Stop all events on a bus
-   * @param {string} bus - Bus path
+   * Apply own volume/pause combined with the tag nodes of an instance
+   * @private
+   * @returns {boolean} False if FMOD rejected a value
    */
-  stopAllBusEvents(bus) {
-    const busHandle = this._getBus(bus);
-    if (!busHandle) return;
+  _applyInstanceMix(data) {
+    const mix = this._getTagMix(data);
+    const volume = mix.muted ? 0 : data.volume * mix.volume;
 
-    const result = busHandle.stopAllEvents(FMOD.STUDIO_STOP_ALLOWFADEOUT);
-    if (result !== FMOD.OK) {
-      console.warn(
-        `Failed to stop all events on bus "${bus}": ${FMOD.ErrorString(result)}`
-      );
+    const paused = data.paused || mix.paused;
+
+    // Only write what changed, this runs for every instance under a tag node
+    let ok = true;
+    if (volume !== data.appliedVolume) {
+      const result = data.instance.setVolume(volume);
+      if (result === FMOD.OK) {
+        data.appliedVolume = volume;
+      } else {
+        console.warn(`Failed to set event volume: ${FMOD.ErrorString(result)}`);
+        ok = false;
+      }
+    }
+    if (paused !== data.appliedPaused) {
+      const result = data.instance.setPaused(paused);
+      if (result === FMOD.OK) {
+        data.appliedPaused = paused;
+      } else {
+        console.warn(`Failed to set paused state: ${FMOD.ErrorString(result)}`);
+        ok = false;
+      }
     }
+    return ok;
   }
 
-  // ==================== VCA Control ====================
-
   /**
-   * Get a VCA handle
+   * Combined state of every tag node above an instance's tags
    * @private
    */
-  _getVCA(vcaPath) {
-    const outval = {};
-    const result = this.system.getVCA(vcaPath, outval);
-    if (result !== FMOD.OK) {
-      console.warn(
-        `Failed to get VCA "${vcaPath}": ${FMOD.ErrorString(result)}`
-      );
-      return null;
+  _getTagMix(data) {
+    const paths = new Set();
+    if (this.tagStates.size > 0) {
+      for (const tag of data.tags) {
+        for (const path of this._getTagAncestors(tag)) paths.add(path);
+      }
     }
-    return outval.val;
+    return this._combineTagStates(paths);
   }
 
   /**
-   * Set VCA volume
-   * @param {string} vca - VCA path (e.g., 'vca:/Music')
-   * @param {number} volume - Volume (0.0 to 1.0)
+   * @private
    */
-  setVCAVolume(vca, volume) {
-    const vcaHandle = this._getVCA(vca);
-    if (!vcaHandle) return;
-
-    const result = vcaHandle.setVolume(volume);
-    if (result !== FMOD.OK) {
-      console.warn(
-        `Failed to set VCA "${vca}" volume: ${FMOD.ErrorString(result)}`
-      );
+  _combineTagStates(paths) {
+    const mix = { paused: false, volume: 1, muted: false };
+    for (const path of paths) {
+      const node = this.tagStates.get(path);
+      if (!node) continue;
+      mix.paused = mix.paused || node.paused;
+      mix.muted = mix.muted || node.muted;
+      mix.volume *= node.volume;
     }
+    return mix;
   }
 
-  // ==================== System Control ====================
-
   /**
-   * Set suspended state (suspend/resume mixer)
-   * @param {boolean} suspended - Suspended state
+   * "a/b/c" -> ["a", "a/b", "a/b/c"]
+   * @private
    */
-  setSuspended(suspended) {
-    if (!this.coreSystem) return;
+  _getTagAncestors(tag) {
+    const parts = tag.split("/");
+    return parts.map((_, i) => parts.slice(0, i + 1).join("/"));
+  }
 
-    let result;
-    if (suspended) {
-      result = this.coreSystem.mixerSuspend();
-    } else {
-      result = this.coreSystem.mixerResume();
+  /**
+   * Whether an instance has a tag or one of its descendants
+   * @private
+   */
+  _hasTag(data, tag) {
+    if (data.tags.has(tag)) return true;
+    const prefix = `${tag}/`;
+    for (const own of data.tags) {
+      if (own.startsWith(prefix)) return true;
     }
+    return false;
+  }
 
-    if (result !== FMOD.OK) {
-      console.warn(
-        `Failed to set suspended state: ${FMOD.ErrorString(result)}`
-      );
+  /**
+   * IDs of instances with a tag or one of its descendants
+   * @private
+   */
+  _getTagIds(tag) {
+    const direct = this.tagIndex.get(tag);
+    if (!this.tagDescendantCounts.has(tag)) return direct || new Set();
+
+    const ids = new Set(direct);
+    const prefix = `${tag}/`;
+    for (const [key, tagSet] of this.tagIndex) {
+      if (key.startsWith(prefix)) {
+        for (const id of tagSet) ids.add(id);
+      }
     }
+    return ids;
   }
 
   /**
-   * Resume audio (for iOS/Chrome workaround)
-   * Handles OutputAudioWorklet resumption and mixer suspend/resume
+   * Add an instance to the tag index
+   * @private
    */
-  resumeAudio() {
-    if (!this.initialized || !this.coreSystem) return;
-
-    try {
-      // Call OutputAudioWorklet_resumeAudio if available
-      if (typeof FMOD["OutputAudioWorklet_resumeAudio"] === "function") {
-        FMOD["OutputAudioWorklet_resumeAudio"]();
+  _indexTag(tag, id) {
+    let tagSet = this.tagIndex.get(tag);
+    if (!tagSet) {
+      tagSet = new Set();
+      this.tagIndex.set(tag, tagSet);
+      // Lets _getTagIds skip the descendant walk for leaf tags
+      for (const ancestor of this._getTagAncestors(tag).slice(0, -1)) {
+        this.tagDescendantCounts.set(
+          ancestor,
+          (this.tagDescendantCounts.get(ancestor) || 0) + 1
+        );
       }
-
-      // Suspend and resume mixer to kick the audio context
-      this.coreSystem.mixerSuspend();
-      this.coreSystem.mixerResume();
-    } catch (error) {
-      console.warn("Failed to resume audio:", error);
     }
+    tagSet.add(id);
   }
 
   /**
-   * Set up audio resume handlers for iOS/Chrome workaround
-   * Sets up event listeners that resume audio on user interaction
+   * Remove an instance from the tag index
+   * @private
    */
-  setupAudioResumeHandlers() {
-    let audioResumed = false;
-    // Listen to various user interaction events
-    const interactionEvents = [
-      "click",
-      "touchstart",
-      "keydown",
-      "mousedown",
-      "mouseup",
-      "touchend",
-      "touchcancel",
-    ];
+  _unindexTag(tag, id) {
+    const tagSet = this.tagIndex.get(tag);
+    if (!tagSet) return;
 
-    const resumeOnInteraction = (real = true) => {
-      if (!audioResumed && this.initialized) {
-        this.resumeAudio();
-        if (real) {
-          audioResumed = true;
-          // Mark FMOD as having received input
-          if (FMOD) {
-            FMOD.mInputRegistered = true;
-          }
-          // Remove all listeners after first real interaction
-          interactionEvents.forEach((eventType) => {
-            document.removeEventListener(eventType, resumeOnInteraction);
-          });
-        }
-      }
-    };
+    tagSet.delete(id);
+    if (tagSet.size > 0) return;
 
-    interactionEvents.forEach((eventType) => {
-      document.addEventListener(eventType, resumeOnInteraction, { once: true });
-    });
+    this.tagIndex.delete(tag);
+    for (const ancestor of this._getTagAncestors(tag).slice(0, -1)) {
+      const count = this.tagDescendantCounts.get(ancestor) - 1;
+      if (count > 0) {
+        this.tagDescendantCounts.set(ancestor, count);
+      } else {
+        this.tagDescendantCounts.delete(ancestor);
+      }
+    }
+  }
 
-    // Attempt initial resume
-    resumeOnInteraction(false);
+  /**
+   * @private
+   */
+  _normalizeTagPath(tag) {
+    return String(tag || "")
+      .trim()
+      .replace(/^\/+|\/+$/g, "");
   }
 
   // ==================== Utility Methods ====================
@@ -1718,17 +5146,22 @@ export default class FMODWrapper {
     const data = this.instances.get(id);
     if (!data) return;
 
-    const newTags = tags.split(/\s+/).filter((t) => t.trim());
-    for (const tag of newTags) {
-      const trimmed = tag.trim();
-      if (!data.tags.has(trimmed)) {
-        data.tags.add(trimmed);
-        if (!this.tagIndex.has(trimmed)) {
-          this.tagIndex.set(trimmed, new Set());
-        }
-        this.tagIndex.get(trimmed).add(id);
+    for (const tag of this._parseTags(tags)) {
+      if (!data.tags.has(tag)) {
+        data.tags.add(tag);
+        this._indexTag(tag, id);
       }
     }
+
+    if (this.callbackSubscriptions.size > 0) {
+      this._applyInstanceCallback(id, data);
+    }
+    if (this.tagStates.size > 0 && data.instance) {
+      this._applyInstanceMix(data);
+    }
+    if (this.concurrencyLimits.size > 0) {
+      this._trackLimitedInstance(id, data);
+    }
   }
 
   /**
@@ -1740,30 +5173,31 @@ export default class FMODWrapper {
     const data = this.instances.get(id);
     if (!data) return;
 
-    const tagsToRemove = tags.split(/\s+/).filter((t) => t.trim());
-    for (const tag of tagsToRemove) {
-      const trimmed = tag.trim();
-      if (data.tags.has(trimmed)) {
-        data.tags.delete(trimmed);
-        const tagSet = this.tagIndex.get(trimmed);
-        if (tagSet) {
-          tagSet.delete(id);
-          if (tagSet.size === 0) {
-            this.tagIndex.delete(trimmed);
-          }
-        }
+    for (const tag of this._parseTags(tags)) {
+      if (data.tags.has(tag)) {
+        data.tags.delete(tag);
+        this._unindexTag(tag, id);
       }
     }
+
+    if (this.callbackSubscriptions.size > 0) {
+      this._applyInstanceCallback(id, data);
+    }
+    if (this.tagStates.size > 0 && data.instance) {
+      this._applyInstanceMix(data);
+    }
+    if (this.concurrencyLimits.size > 0) {
+      this._trackLimitedInstance(id, data);
+    }
   }
 
   /**
-   * Get all instance IDs with a specific tag
-   * @param {string} tag - Tag to search for
+   * Get all instance IDs matching a tag selector
+   * @param {string|number|Array} tag - Tag selector, instance ID or list of them
    * @returns {Array<number>} Array of instance IDs
    */
   getInstancesByTag(tag) {
-    const tagSet = this.tagIndex.get(tag);
-    return tagSet ? Array.from(tagSet) : [];
+    return this._getMatchingInstances(null, tag).map(({ id }) => id);
   }
 
   /**
@@ -1813,6 +5247,198 @@ export default class FMODWrapper {
     );
   }
 
+  // ==================== Offline Rendering ====================
+
+  /**
+   * Render a scripted sequence faster than realtime into a WAV buffer
+   * Requires initialize() with offlineRendering. Each step calls a wrapper
+   * method (e.g. startEvent, setEventParameter) at a time on the render clock.
+   * Address instances started by the script through their tags.
+   * Yields to the event loop after every block, so promise-based steps (fades that
+   * stop their event, tween completions) take effect in the next block.
+   * @param {Array<Object>} steps - [{ time, method, args }], time in milliseconds
+   * @param {number} duration - Length of the render in milliseconds, required
+   * @param {Object} options - Render options
+   * @param {boolean} options.stopAtEnd - Stop all events once rendered (default: true)
+   * @returns {Promise<Object>} { wav: ArrayBuffer, sampleRate, channels, duration }
+   */
+  async renderOffline(steps = [], duration, { stopAtEnd = true } = {}) {
+    this.currentCycleCalls.push({
+      method: "renderOffline",
+      params: { steps: steps.length, duration, stopAtEnd },
+      timestamp: Date.now(),
+    });
+    if (!this.initialized || !this.offlineRendering) {
+      throw new Error(
+        "Offline rendering requires FMOD to be initialized with offlineRendering"
+      );
+    }
+    if (this.renderingOffline) {
+      throw new Error("An offline render is already running");
+    }
+
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new Error(
+        `Offline rendering needs a positive duration in milliseconds, got ${duration}`
+      );
+    }
+
+    for (const step of steps) {
+      if (!OFFLINE_RENDER_METHODS.includes(step.method)) {
+        throw new Error(`Method "${step.method}" can't be used in a render`);
+      }
+    }
+
+    const rateOut = {};
+    let result = this.coreSystem.getSoftwareFormat(rateOut, {}, {});
+    if (result !== FMOD.OK) {
+      throw new Error(
+        `Failed to get software format: ${FMOD.ErrorString(result)}`
+      );
+    }
+    const sampleRate = rateOut.val;
+
+    const blockOut = {};
+    result = this.coreSystem.getDSPBufferSize(blockOut, {});
+    if (result !== FMOD.OK) {
+      throw new Error(
+        `Failed to get DSP buffer size: ${FMOD.ErrorString(result)}`
+      );
+    }
+    const blockDuration = (blockOut.val / sampleRate) * 1000;
+
+    const capture = this._createCaptureDSP();
+    const pending = [...steps].sort((a, b) => (a.time || 0) - (b.time || 0));
+    const blockCount = Math.ceil(duration / blockDuration);
+
+    this.renderingOffline = true;
+    try {
+      for (let block = 0; block < blockCount; block++) {
+        this._offlineTime = block * blockDuration;
+        while (pending.length && (pending[0].time || 0) <= this._offlineTime) {
+          const step = pending.shift();
+          this[step.method](...(step.args || []));
+        }
+        this.update();
+        await this._yieldToEventLoop();
+      }
+
+      if (stopAtEnd) {
+        this.stopEvent(null, null, false, true);
+        this.update();
+      }
+    } finally {
+      this._offlineTime = null;
+      this.renderingOffline = false;
+      this._releaseCaptureDSP(capture);
+    }
+
+    // Trim to the requested duration, dropping the final stopping block
+    const channels = capture.channels || 2;
+    const frames = Math.round((duration / 1000) * sampleRate);
+    const samples = new Float32Array(frames * channels);
+    let offset = 0;
+    for (const chunk of capture.chunks) {
+      if (offset >= samples.length) break;
+      const part = chunk.subarray(0, samples.length - offset);
+      samples.set(part, offset);
+      offset += part.length;
+    }
+
+    return {
+      wav: encodeWAV(samples, sampleRate, channels),
+      sampleRate,
+      channels,
+      duration,
+    };
+  }
+
+  /**
+   * Run pending promise callbacks and other tasks, without the setTimeout clamp
+   * @private
+   */
+  _yieldToEventLoop() {
+    return new Promise((resolve) => {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = () => {
+        channel.port1.close();
+        resolve();
+      };
+      channel.port2.postMessage(null);
+    });
+  }
+
+  /**
+   * Create a pass-through DSP on the master channel group recording the mix
+   * @private
+   * @returns {Object} { dsp, channelGroup, chunks, channels }
+   */
+  _createCaptureDSP() {
+    const capture = {
+      dsp: null,
+      channelGroup: null,
+      chunks: [],
+      channels: 0,
+    };
+
+    const desc = FMOD.DSP_DESCRIPTION();
+    desc.numinputbuffers = 1;
+    desc.numoutputbuffers = 1;
+    desc.read = (dspState, inbuffer, outbuffer, length, inchannels) => {
+      const count = length * inchannels;
+      const input = FMOD.HEAPF32.subarray(
+        inbuffer >> 2,
+        (inbuffer >> 2) + count
+      );
+      capture.chunks.push(input.slice());
+      capture.channels = inchannels;
+      FMOD.HEAPF32.set(input, outbuffer >> 2);
+      return FMOD.OK;
+    };
+
+    const out = {};
+    let result = this.coreSystem.createDSP(desc, out);
+    if (result !== FMOD.OK) {
+      throw new Error(
+        `Failed to create capture DSP: ${FMOD.ErrorString(result)}`
+      );
+    }
+    capture.dsp = out.val;
+
+    result = this.coreSystem.getMasterChannelGroup(out);
+    if (result !== FMOD.OK) {
+      capture.dsp.release();
+      throw new Error(
+        `Failed to get master channel group: ${FMOD.ErrorString(result)}`
+      );
+    }
+    capture.channelGroup = out.val;
+
+    result = capture.channelGroup.addDSP(
+      FMOD.CHANNELCONTROL_DSP_TAIL,
+      capture.dsp
+    );
+    if (result !== FMOD.OK) {
+      capture.dsp.release();
+      throw new Error(`Failed to add capture DSP: ${FMOD.ErrorString(result)}`);
+    }
+
+    return capture;
+  }
+
+  /**
+   * Remove and release a capture DSP
+   * @private
+   */
+  _releaseCaptureDSP(capture) {
+    try {
+      capture.channelGroup.removeDSP(capture.dsp);
+      capture.dsp.release();
+    } catch (error) {
+      console.warn(`Error releasing capture DSP:`, error);
+    }
+  }
+
   /**
    * Release the FMOD system
    */
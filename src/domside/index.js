@@ -1,4 +1,5 @@
 import FMODWrapper from "./FMODWrapper.js";
+import BankCache from "./BankCache.js";
 import oldIndex from "./index.old.js";
 
 const useOldIndex = false;
@@ -44,14 +45,49 @@ export default function (parentClass) {
       this.banksByName = new Map();
       this.banksByPath = new Map();
 
+      // Bank loading progress (banks of the current loading batch)
+      this._bankLoadingBatch = new Set();
+      this._bankProgressInterval = 100; // ms between fetch progress messages
+
+      // Bank fetching
+      this.bankFetchRetries = 3;
+      this.bankFetchRetryDelay = 1000; // ms, doubled after each attempt
+      this.bankFetchTimeout = 30000; // ms without receiving data, 0 disables
+
+      // Bank reference counting
+      this.bankUnloadDelay = 1000; // ms between the last release and the unload
+      this.bankUnloadPolicy = "protect"; // "protect" waits for playing events, "stop" stops them
+      this.bankUnloadCheckInterval = 250; // ms between checks for playing events of protected banks
+      this._pendingBankUnloads = new Map(); // bank -> { time, policy, unloading }
+
+      // Asset groups (banks + event sample data loaded as a unit)
+      this.assetGroups = new Map(); // name -> { name, banks, events, state, ... }
+
+      // Persistent bank cache (opt-in, see configureBankCache)
+      this.bankCache = null;
+
       // Scheduling
       this.nextTickArray = [];
 
+      // Savegame state sync (snapshot pushed to the runtime for _saveToJson).
+      // Pushed after every tick that changed the state, so saves are never stale;
+      // timeline positions only move with it unless stateSyncInterval also
+      // refreshes the snapshot periodically.
+      this.stateSyncInterval = 0; // ms, 0 disables the periodic refresh
+      this._lastStateSyncTime = 0;
+      this._stateDirty = false;
+      this._lastSyncedInstanceCount = 0;
+      this._restoringState = false;
+
       // Advanced settings
       this.advancedSettings = {};
       this.dspBufferSize = 1024;
       this.dspBufferCount = 4;
       this.maxChannels = 1024;
+      this.offlineRendering = false;
+      this.outputSettings = {};
+      this.sampleDataBudget = 0; // bytes, 0 disables eviction
+      this.preloadSampleData = false; // load sample data on instantiate
 
       // Initialize handlers
       this.SetUpDOMHandlers();
@@ -62,7 +98,7 @@ export default function (parentClass) {
     //====================================================================
 
     SetUpDOMHandlers() {
-      this.AddRuntimeMessageHandlers([
+      const handlers = [
         ["pre-init", (config) => this.PreInit(config)],
 
         [
@@ -80,15 +116,103 @@ export default function (parentClass) {
         ["start-one-time-event", ([event]) => this.startOneTimeEvent(event)],
 
         ["update", () => this.update()],
+        ["get-init-settings", () => this.getInitSettings()],
+        ["save-state", () => this.serializeState()],
+        ["load-state", ([state]) => this.restoreState(state)],
         [
           "load-bank",
           ([name, loadSampleData]) => this.loadBank(name, loadSampleData),
         ],
-        ["unload-bank", ([name]) => this.unloadBank(name)],
+        ["unload-bank", ([name, force]) => this.unloadBank(name, force)],
+        [
+          "acquire-bank",
+          ([name, owner, loadSampleData]) =>
+            this.acquireBank(name, owner, loadSampleData),
+        ],
+        [
+          "release-bank",
+          ([name, owner, policy]) => this.releaseBank(name, owner, policy),
+        ],
+        [
+          "release-bank-owner",
+          ([owner, policy]) => this.releaseBankOwner(owner, policy),
+        ],
+        [
+          "register-bank",
+          ([name, path, url, loadSampleData]) =>
+            this.describeBank(
+              this.registerBank(name, { path, url, loadSampleData })
+            ),
+        ],
+        ["unregister-bank", ([name]) => this.unregisterBank(name)],
+        [
+          "load-bank-from-url",
+          ([name, url, loadSampleData]) =>
+            this.loadBankFromSource(name, { url }, loadSampleData),
+        ],
+        [
+          "load-bank-from-memory",
+          ([name, data, loadSampleData, keepData]) =>
+            this.loadBankFromSource(name, { data, keepData }, loadSampleData),
+        ],
         ["unload-all-banks", () => this.unloadAllBanks()],
+        ["get-banks", () => this.getBanks()],
+        ["get-bank-loading-progress", () => this.getBankLoadingProgress()],
+        ["get-bank-contents", ([name]) => this.getBankContents(name)],
+        [
+          "define-asset-group",
+          ([name, banks, events]) => this.defineAssetGroup(name, banks, events),
+        ],
+        ["remove-asset-group", ([name]) => this.removeAssetGroup(name)],
+        ["load-asset-group", ([name]) => this.loadAssetGroup(name)],
+        [
+          "unload-asset-group",
+          ([name, policy]) => this.unloadAssetGroup(name, policy),
+        ],
+        ["get-asset-group-state", ([name]) => this.getAssetGroupState(name)],
+        ["get-asset-groups", () => this.getAssetGroups()],
+        ["abort-bank-load", ([name]) => this.abortBankLoad(name)],
+        ["retry-failed-banks", () => this.retryFailedBanks()],
+        [
+          "configure-bank-cache",
+          ([enabled, version, maxSize]) =>
+            this.configureBankCache(enabled, version, maxSize),
+        ],
+        ["get-bank-cache-size", () => this.getBankCacheSize()],
+        ["clear-bank-cache", ([name]) => this.clearBankCache(name)],
         [
           "instantiate-event",
-          ([name, tags]) => this.instantiateEvent(name, tags),
+          ([name, tags, preloadSampleData, notifyReady]) =>
+            this.instantiateEvent(name, tags, preloadSampleData, notifyReady),
+        ],
+        [
+          "start-event-when-ready",
+          ([name, tags, destroyWhenStopped]) =>
+            this.startEventWhenReady(name, tags, destroyWhenStopped),
+        ],
+        ["is-event-ready", ([name, tag]) => this.isEventReady(name, tag)],
+        [
+          "set-concurrency-limit",
+          ([scope, target, max, policy]) =>
+            this.setConcurrencyLimit(scope, target, max, policy),
+        ],
+        ["get-concurrency-limits", () => this.getConcurrencyLimits()],
+        [
+          "set-throttle",
+          ([scope, target, cooldown, maxStarts, window]) =>
+            this.setThrottle(scope, target, cooldown, maxStarts, window),
+        ],
+        ["get-throttle-stats", () => this.getThrottleStats()],
+        ["reset-throttle-stats", () => this.resetThrottleStats()],
+        [
+          "set-instance-pool",
+          ([name, size, prewarm]) => this.setInstancePool(name, size, prewarm),
+        ],
+        ["get-instance-pool-stats", () => this.getInstancePoolStats()],
+        ["clear-instance-pools", () => this.clearInstancePools()],
+        [
+          "set-preload-sample-data",
+          ([enabled]) => this.setPreloadSampleData(enabled),
         ],
         [
           "start-event",
@@ -171,6 +295,54 @@ export default function (parentClass) {
               ignoreSeekSpeed
             ),
         ],
+        [
+          "tween-event-parameter",
+          ([name, tag, param, value, duration, curve, isId = false]) =>
+            this.tweenEventParameter(
+              name,
+              tag,
+              param,
+              isId,
+              value,
+              duration,
+              curve
+            ),
+        ],
+        [
+          "tween-global-parameter",
+          ([param, value, duration, curve, isId = false]) =>
+            this.tweenGlobalParameter(param, isId, value, duration, curve),
+        ],
+        [
+          "cancel-event-parameter-tween",
+          ([name, tag, param, isId = false]) =>
+            this.cancelEventParameterTween(name, tag, param, isId),
+        ],
+        [
+          "cancel-global-parameter-tween",
+          ([param, isId = false]) =>
+            this.cancelGlobalParameterTween(param, isId),
+        ],
+        [
+          "set-event-volume",
+          ([name, tag, volume]) => this.setEventVolume(name, tag, volume),
+        ],
+        [
+          "set-event-pitch",
+          ([name, tag, pitch]) => this.setEventPitch(name, tag, pitch),
+        ],
+        [
+          "fade-event-volume",
+          ([name, tag, volume, duration, curve, stopWhenDone]) =>
+            this.fadeEventVolume(
+              name,
+              tag,
+              volume,
+              duration,
+              curve,
+              stopWhenDone
+            ),
+        ],
         [
           "stop-event",
           ([name, tag, allowFadeOut, release]) =>
@@ -195,6 +367,12 @@ export default function (parentClass) {
           "set-event-paused",
           ([name, tag, paused]) => this.setEventPaused(name, tag, paused),
         ],
+        ["set-tag-paused", ([tag, paused]) => this.setTagPaused(tag, paused)],
+        ["set-tag-volume", ([tag, volume]) => this.setTagVolume(tag, volume)],
+        ["set-tag-muted", ([tag, muted]) => this.setTagMuted(tag, muted)],
+        ["clear-tag-state", ([tag]) => this.clearTagState(tag)],
+        ["get-tag-state", ([tag]) => this.getTagState(tag)],
+        ["get-tag-states", () => this.getTagStates()],
         [
           "set-event-timeline-position",
           ([name, tag, position]) =>
@@ -204,6 +382,26 @@ export default function (parentClass) {
           "wait-for-event-stop",
           ([name, tag]) => this.waitForEventStop(name, tag),
         ],
+        ["get-event-state", ([name, tag]) => this.getEventState(name, tag)],
+        [
+          "get-event-description",
+          ([name]) => this.getEventDescriptionInfo(name),
+        ],
+        [
+          "get-event-parameter",
+          ([name, tag, param, isId = false]) =>
+            this.getEventParameter(name, tag, param, isId),
+        ],
+        ["is-event-playing", ([id]) => this.isPlaying(id)],
+        [
+          "subscribe-event-callbacks",
+          ([name, tag, types]) =>
+            this.subscribeEventCallbacks(name, tag, types),
+        ],
+        [
+          "unsubscribe-event-callbacks",
+          ([subscriptionId]) => this.unsubscribeEventCallbacks(subscriptionId),
+        ],
         [
           "set-event-3d-attributes",
           ([name, tag, x, y, z, vx, vy, vz, fx, fy, fz, ux, uy, uz]) =>
@@ -272,13 +470,32 @@ export default function (parentClass) {
         ["set-nb-listeners", ([nb]) => this.setNbListeners(nb)],
         ["set-bus-muted", ([bus, muted]) => this.setBusMuted(bus, muted)],
         ["set-bus-volume", ([bus, volume]) => this.setBusVolume(bus, volume)],
+        [
+          "fade-bus-volume",
+          ([bus, volume, duration, curve]) =>
+            this.fadeBusVolume(bus, volume, duration, curve),
+        ],
+        ["cancel-bus-fade", ([bus]) => this.cancelBusFade(bus)],
         ["set-bus-paused", ([bus, paused]) => this.setBusPaused(bus, paused)],
         ["stop-all-bus-events", ([bus]) => this.stopAllBusEvents(bus)],
+        ["get-bus-state", ([bus]) => this.getBusState(bus)],
         ["set-vca-volume", ([vca, volume]) => this.setVCAVolume(vca, volume)],
+        [
+          "fade-vca-volume",
+          ([vca, volume, duration, curve]) =>
+            this.fadeVCAVolume(vca, volume, duration, curve),
+        ],
+        ["cancel-vca-fade", ([vca]) => this.cancelVCAFade(vca)],
+        ["get-vca-volume", ([vca]) => this.getVCAVolume(vca)],
         [
           "set-suspended",
           ([suspended, time]) => this.setSuspended(suspended, time),
         ],
+        [
+          "render-offline",
+          ([steps, duration, options]) =>
+            this.renderOffline(steps, duration, options),
+        ],
         ["load-bank-sample-data", ([name]) => this.loadBankSampleData(name)],
         [
           "unload-bank-sample-data",
@@ -289,7 +506,32 @@ export default function (parentClass) {
           "unload-event-sample-data",
           ([name]) => this.unloadEventSampleData(name),
         ],
-      ]);
+        [
+          "set-sample-data-budget",
+          ([bytes]) => this.setSampleDataBudget(bytes),
+        ],
+        ["get-sample-data-usage", () => this.getSampleDataUsage()],
+      ];
+      this.AddRuntimeMessageHandlers(this._markStateChangingHandlers(handlers));
+    }
+
+    /**
+     * Wrap handlers so messages that can change the audio state trigger a savegame sync
+     * @private
+     */
+    _markStateChangingHandlers(handlers) {
+      const readOnly = /^(get-|is-|save-state$|update$)/;
+      return handlers.map(([id, handler]) =>
+        readOnly.test(id)
+          ? [id, handler]
+          : [
+              id,
+              (data) => {
+                this._stateDirty = true;
+                return handler(data);
+              },
+            ]
+      );
     }
 
     PreInitLoadBank(
@@ -318,7 +560,14 @@ export default function (parentClass) {
       await Promise.all(
         this.bankConfigs.map(async (bankConfig) => {
           if (bankConfig.preload) {
-            const promise = this.loadBank(bankConfig);
+            // Failures are recorded on the bank (state "failed") and posted as
+            // "bank-load-failed", they must not stop init
+            const promise = this.loadBank(bankConfig).catch((error) =>
+              console.error(
+                `FMOD [WaitForPreloadBanks]: Failed to preload bank="${bankConfig.name}"`,
+                error
+              )
+            );
             if (!bankConfig.nonBlocking) await promise;
           }
         })
@@ -330,7 +579,40 @@ export default function (parentClass) {
       this.dspBufferSize = config.dspBufferSize || 1024;
       this.dspBufferCount = config.dspBufferCount || 4;
       this.maxChannels = config.maxChannels || 1024;
+      this.offlineRendering = !!config.offlineRendering;
+      this.outputSettings = {
+        outputType: config.outputType,
+        speakerMode: config.speakerMode,
+        sampleRate: config.sampleRate,
+        studioInitFlags: config.studioInitFlags,
+        coreInitFlags: config.coreInitFlags,
+        dopplerScale: config.dopplerScale,
+        distanceFactor: config.distanceFactor,
+        rolloffScale: config.rolloffScale,
+      };
       this.FMOD["INITIAL_MEMORY"] = (config.initialMemory || 80) * 1024 * 1024;
+      if (config.stateSyncInterval !== undefined) {
+        this.stateSyncInterval = config.stateSyncInterval;
+      }
+      if (config.preloadSampleData !== undefined) {
+        this.preloadSampleData = !!config.preloadSampleData;
+      }
+      if (config.sampleDataBudget !== undefined) {
+        this.sampleDataBudget = config.sampleDataBudget;
+      }
+      if (config.bankFetchRetries !== undefined) {
+        this.bankFetchRetries = config.bankFetchRetries;
+      }
+      if (config.bankFetchTimeout !== undefined) {
+        this.bankFetchTimeout = config.bankFetchTimeout;
+      }
+      if (config.bankCache) {
+        this.configureBankCache(
+          true,
+          config.bankCache.version,
+          config.bankCache.maxSize
+        );
+      }
       return Promise.all([
         new Promise((resolve) => {
           this._preRunCallbacks.push(() => {
@@ -344,7 +626,7 @@ export default function (parentClass) {
             resolve();
           });
         }),
-      ]);
+      ]).then(() => this.getInitSettings());
     }
 
     HandleInit() {
@@ -390,11 +672,45 @@ export default function (parentClass) {
 
       // Let the wrapper initialize FMOD with custom options
       await this.wrapper.initialize({
+        ...this.outputSettings,
         maxChannels: this.maxChannels,
         dspBufferSize: this.dspBufferSize,
         numBuffers: this.dspBufferCount,
         advancedSettings: this.advancedSettings,
+        offlineRendering: this.offlineRendering,
       });
+
+      // Forward event callbacks (markers, beats, start/stop...) to the runtime
+      this.wrapper.onEventCallback = (info) =>
+        this.PostToRuntime("event-callback", info);
+
+      // Report instances stolen or refused by concurrency limits
+      this.wrapper.onConcurrencyLimit = (info) =>
+        this.PostToRuntime("concurrency-limit", info);
+
+      // Report starts dropped by cooldowns and throttles, batched per interval
+      this.wrapper.onThrottleReport = (report) =>
+        this.PostToRuntime("throttle-report", report);
+
+      // Report instances whose preloaded sample data is ready
+      this.wrapper.preloadSampleDataOnInstantiate = this.preloadSampleData;
+      this.wrapper.onInstanceReady = (info) =>
+        this.PostToRuntime("event-ready", info);
+
+      // Report sample data evicted to stay within the budget
+      this.wrapper.sampleDataBudget = this.sampleDataBudget;
+      this.wrapper.onSampleDataEvicted = (info) =>
+        this.PostToRuntime("sample-data-evicted", info);
+    }
+
+    getInitSettings() {
+      if (!this.wrapper) return null;
+      try {
+        return this.wrapper.getInitSettings();
+      } catch (error) {
+        console.error(`FMOD [getInitSettings]: Failed`, error);
+        return null;
+      }
     }
 
     //====================================================================
@@ -409,6 +725,8 @@ export default function (parentClass) {
       if (!this.wrapper || !this._loaded) {
         return;
       }
+      // An offline render drives the mixer itself
+      if (this.wrapper.renderingOffline) return;
 
       try {
         // Execute scheduled functions
@@ -424,12 +742,39 @@ export default function (parentClass) {
 
         // Update wrapper (handles instance cleanup)
         this.wrapper.update();
+
+        this._processPendingBankUnloads();
+        this._syncStateToRuntime();
       } catch (error) {
         console.error("FMOD [update]: Critical error in update cycle:", error);
         this._trackError();
       }
     }
 
+    _syncStateToRuntime() {
+      if (this._restoringState) return;
+
+      // Instances that ended on their own and running tweens change the state too
+      const instanceCount = this.wrapper.instances.size;
+      const now = Date.now();
+      const due =
+        this.stateSyncInterval > 0 &&
+        now - this._lastStateSyncTime >= this.stateSyncInterval;
+      if (
+        !this._stateDirty &&
+        !due &&
+        instanceCount === this._lastSyncedInstanceCount &&
+        this.wrapper.tweens.size === 0
+      ) {
+        return;
+      }
+      this._stateDirty = false;
+      this._lastStateSyncTime = now;
+      this._lastSyncedInstanceCount = instanceCount;
+
+      this.PostToRuntime("audio-state", this.serializeState());
+    }
+
     _trackError() {
       const now = Date.now();
 
@@ -478,17 +823,215 @@ export default function (parentClass) {
       return error.fmodErrorString || error.message || String(error);
     }
 
-    async fetchUrlAsInt8Array(url) {
+    async fetchUrlAsInt8Array(url, onProgress, onResponse, options = {}) {
+      const {
+        retries = this.bankFetchRetries,
+        retryDelay = this.bankFetchRetryDelay,
+        timeout = this.bankFetchTimeout,
+        signal,
+      } = options;
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await this._fetchOnce(
+            url,
+            onProgress,
+            onResponse,
+            timeout,
+            signal
+          );
+        } catch (error) {
+          error.attempts = attempt;
+          if (attempt > retries || !this._isRetryableFetchError(error)) {
+            throw error;
+          }
+
+          const delay = retryDelay * Math.pow(2, attempt - 1);
+          console.warn(
+            `FMOD [fetchUrlAsInt8Array]: ${error.message} for url="${url}", retrying in ${delay}ms (${attempt}/${retries})`
+          );
+          await this._waitForRetry(delay, signal);
+        }
+      }
+    }
+
+    async _fetchOnce(url, onProgress, onResponse, timeout, signal) {
+      if (signal && signal.aborted) {
+        throw this._createLoadError("aborted", "Bank load aborted");
+      }
+
+      // Aborts on the caller's signal, or when no data arrives for `timeout` ms
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      let timedOut = false;
+      let timer = null;
+      const resetTimer = () => {
+        if (!timeout) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout);
+      };
+      if (signal) signal.addEventListener("abort", onAbort);
+      resetTimer();
+
       try {
-        const response = await fetch(url);
+        const response = await fetch(url, { signal: controller.signal });
         if (!response.ok) {
-          throw new Error(`HTTP error! Status: ${response.status}`);
+          throw this._createLoadError(
+            "http",
+            `HTTP error! Status: ${response.status}`,
+            { status: response.status }
+          );
+        }
+        if (onResponse) onResponse(response);
+
+        if (!response.body) {
+          const buffer = await response.arrayBuffer();
+          return new Int8Array(buffer);
+        }
+
+        // Stream the body to report byte-level progress
+        const totalBytes = Number(response.headers.get("Content-Length")) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loadedBytes = 0;
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          resetTimer();
+          chunks.push(value);
+          loadedBytes += value.length;
+          if (onProgress) onProgress(loadedBytes, totalBytes);
+        }
+
+        const bytes = new Uint8Array(loadedBytes);
+        let offset = 0;
+        for (const chunk of chunks) {
+          bytes.set(chunk, offset);
+          offset += chunk.length;
+        }
+        return new Int8Array(bytes.buffer);
+      } catch (error) {
+        if (error.kind) throw error;
+        if (timedOut) {
+          throw this._createLoadError(
+            "timeout",
+            `No data received for ${timeout}ms`
+          );
+        }
+        if (signal && signal.aborted) {
+          throw this._createLoadError("aborted", "Bank load aborted");
+        }
+        throw this._createLoadError("network", this._formatError(error));
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+      }
+    }
+
+    _waitForRetry(delay, signal) {
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(this._createLoadError("aborted", "Bank load aborted"));
+        };
+        const timer = setTimeout(() => {
+          if (signal) signal.removeEventListener("abort", onAbort);
+          resolve();
+        }, delay);
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+      });
+    }
+
+    _isRetryableFetchError(error) {
+      switch (error.kind) {
+        case "network":
+        case "timeout":
+          return true;
+        case "http":
+          // Server errors, timeouts and rate limiting may go away
+          return (
+            error.status >= 500 || error.status === 408 || error.status === 429
+          );
+        default:
+          return false;
+      }
+    }
+
+    _createLoadError(kind, message, details = {}) {
+      const error = new Error(message);
+      error.kind = kind;
+      Object.assign(error, details);
+      return error;
+    }
+
+    //====================================================================
+    // Savegame Methods
+    //====================================================================
+
+    serializeState() {
+      if (!this.wrapper) return null;
+      try {
+        return {
+          banks: this.bankConfigs
+            .filter((bank) => bank.loaded)
+            .map((bank) => bank.name),
+          ...this.wrapper.serializeState(),
+        };
+      } catch (error) {
+        console.error(`FMOD [serializeState]: Failed`, error);
+        return null;
+      }
+    }
+
+    async restoreState(state) {
+      if (!this.wrapper || !state) return {};
+
+      this._restoringState = true;
+      try {
+        // Banks loaded after the save are unloaded, unless something holds them
+        const savedBanks = new Set(state.banks || []);
+        const staleBanks = this.bankConfigs.filter(
+          (bank) =>
+            bank.loaded &&
+            !savedBanks.has(bank.name) &&
+            this._getBankRefCount(bank) === 0
+        );
+        if (staleBanks.length > 0) {
+          // Their instances must not outlive the bank
+          this.wrapper.stopAllEvents(false, true);
+          await Promise.all(
+            staleBanks.map((bank) =>
+              this.unloadBank(bank).catch((error) =>
+                console.error(
+                  `FMOD [restoreState]: Failed to unload bank="${bank.name}"`,
+                  error
+                )
+              )
+            )
+          );
         }
 
-        const buffer = await response.arrayBuffer();
-        return new Int8Array(buffer);
+        // Saved events need their banks before they can be recreated
+        await Promise.all(
+          (state.banks || []).map((name) =>
+            this.loadBank(name).catch((error) =>
+              console.error(
+                `FMOD [restoreState]: Failed to load bank="${name}"`,
+                error
+              )
+            )
+          )
+        );
+        return this.wrapper.restoreState(state);
       } catch (error) {
-        console.error("Error fetching URL:", error);
+        console.error(`FMOD [restoreState]: Failed`, error);
+        return {};
+      } finally {
+        this._restoringState = false;
+        this._stateDirty = true;
       }
     }
 
@@ -507,18 +1050,60 @@ export default function (parentClass) {
         return;
       }
 
+      // A load requested while the bank unloads reloads it afterwards
+      if (bankOrName.unloadingPromise) {
+        await bankOrName.unloadingPromise.catch(() => {});
+      }
+
       if (bankOrName.loaded) {
         return bankOrName;
       }
 
+      // Concurrent requests share the same load
+      if (bankOrName.loadingPromise) {
+        return bankOrName.loadingPromise;
+      }
+
       // Use the loadSampleData parameter if provided, otherwise use the bank config value
       const shouldLoadSampleData =
         loadSampleData !== undefined
           ? loadSampleData
           : bankOrName.loadSampleData;
 
+      const bank = bankOrName;
+      bank.loadingPromise = this._loadBank(bank, shouldLoadSampleData).finally(
+        () => {
+          bank.loadingPromise = null;
+          bank.abortController = null;
+        }
+      );
+      return bank.loadingPromise;
+    }
+
+    async _loadBank(bank, shouldLoadSampleData) {
+      bank.abortController = new AbortController();
+      this._startBankLoading(bank, shouldLoadSampleData);
+
       try {
-        const memory = await this.fetchUrlAsInt8Array(bankOrName.url);
+        let lastProgressTime = 0;
+        const memory = await this._readBankBytes(
+          bank,
+          (loadedBytes, totalBytes) => {
+            const now = Date.now();
+            const complete = totalBytes && loadedBytes >= totalBytes;
+            if (
+              !complete &&
+              now - lastProgressTime < this._bankProgressInterval
+            ) {
+              bank.loadedBytes = loadedBytes;
+              bank.totalBytes = totalBytes;
+              return;
+            }
+            lastProgressTime = now;
+            this._setBankState(bank, "fetching", { loadedBytes, totalBytes });
+          }
+        );
+        this._setBankState(bank, "parsing");
         const bankhandle = {};
 
         const errno = this.wrapper.loadBankMemory(
@@ -533,40 +1118,112 @@ export default function (parentClass) {
           console.error(
             "Bank already loaded. Make sure you're not loading the same bank twice under different names."
           );
-          return bankOrName;
+          throw this._createLoadError("fmod", this.FMOD.ErrorString(errno), {
+            fmodErrorCode: errno,
+          });
         }
 
         this.assert(errno);
-        bankOrName.bankHandle = bankhandle.val;
+        bank.bankHandle = bankhandle.val;
 
         // Wait for bank to be fully loaded
         await this.wrapper.awaitBankLoadingState(
-          bankOrName.bankHandle,
+          bank.bankHandle,
           this.FMOD.STUDIO_LOADING_STATE_LOADED
         );
 
-        bankOrName.loaded = true;
+        bank.loaded = true;
+        this._setBankState(bank, "loaded");
+
+        // Only banks FMOD accepted are worth keeping
+        if (!bank.fromCache) {
+          this._storeBankInCache(bank, memory);
+        }
+
+        // FMOD holds its own copy, don't keep a second one around
+        if (bank.data && !bank.keepData) {
+          bank.data = null;
+        }
 
         // Register in wrapper's bank tracking
-        this.wrapper.banks.set(bankOrName.name, {
-          handle: bankOrName.bankHandle,
+        this.wrapper.banks.set(bank.name, {
+          handle: bank.bankHandle,
           loaded: true,
           loading: false,
         });
 
+        // Create the instances of pooled events ahead of their first start
+        this.wrapper.prewarmInstancePools(bank.bankHandle);
+
         // Load sample data if requested
         if (shouldLoadSampleData) {
-          await this.loadBankSampleData(bankOrName);
+          await this.loadBankSampleData(bank);
         }
 
-        return bankOrName;
+        return bank;
       } catch (error) {
         console.error(`FMOD [loadBank]: Failed to load bank`, error);
+        // A cached copy FMOD rejected must not be served again
+        if (
+          bank.fromCache &&
+          this.bankCache &&
+          error.fmodErrorCode !== this.FMOD.ERR_EVENT_ALREADY_LOADED
+        ) {
+          this.bankCache.evict(bank.url).catch(() => {});
+        }
+        this._reportBankFailure(bank, error);
         throw error;
       }
     }
 
-    async unloadBank(bankOrName) {
+    _reportBankFailure(bank, error) {
+      const failure = {
+        kind:
+          error.kind || (error.fmodErrorCode !== undefined ? "fmod" : "error"),
+        message: this._formatError(error),
+        status: error.status || 0,
+        fmodErrorCode: error.fmodErrorCode ?? null,
+        attempts: error.attempts || 1,
+      };
+      this._setBankState(bank, "failed", { error: failure.message, failure });
+      this.PostToRuntime("bank-load-failed", {
+        name: bank.name,
+        path: bank.path,
+        url: bank.url,
+        ...failure,
+      });
+    }
+
+    abortBankLoad(bankOrName) {
+      if (typeof bankOrName === "string") {
+        bankOrName =
+          this.banksByName.get(bankOrName) || this.banksByPath.get(bankOrName);
+      }
+
+      if (!bankOrName || !bankOrName.abortController) return false;
+      bankOrName.abortController.abort();
+      return true;
+    }
+
+    async retryFailedBanks() {
+      const failed = this.bankConfigs.filter((bank) => bank.state === "failed");
+
+      const results = await Promise.all(
+        failed.map((bank) =>
+          // A loaded bank only failed on its sample data
+          (bank.loaded
+            ? this.loadBankSampleData(bank)
+            : this.loadBank(bank)
+          ).then(
+            () => bank.state !== "failed",
+            () => false
+          )
+        )
+      );
+      return failed.map((bank, i) => ({ name: bank.name, loaded: results[i] }));
+    }
+
+    async unloadBank(bankOrName, force = false) {
       if (typeof bankOrName === "string") {
         bankOrName =
           this.banksByName.get(bankOrName) || this.banksByPath.get(bankOrName);
@@ -581,51 +1238,908 @@ export default function (parentClass) {
         return bankOrName;
       }
 
+      const refCount = this._getBankRefCount(bankOrName);
+      if (refCount > 0 && !force) {
+        console.warn(
+          `FMOD [unloadBank]: Bank "${bankOrName.name}" is still held by ${Array.from(
+            bankOrName.owners.keys()
+          ).join(", ")}, use releaseBank instead.`
+        );
+        return bankOrName;
+      }
+
+      await this._unloadBank(bankOrName);
+      // A forced unload drops every owner
+      if (bankOrName.owners) bankOrName.owners.clear();
+      this._pendingBankUnloads.delete(bankOrName);
+      return bankOrName;
+    }
+
+    _unloadBank(bank) {
+      // Concurrent unloads share the same FMOD unload
+      if (!bank.unloadingPromise) {
+        bank.unloadingPromise = this._doUnloadBank(bank).finally(() => {
+          bank.unloadingPromise = null;
+        });
+      }
+      return bank.unloadingPromise;
+    }
+
+    async _doUnloadBank(bank) {
       try {
-        this.assert(bankOrName.bankHandle.unload());
+        // Only this bank's events leave the description cache
+        this.wrapper.forgetBankEvents(bank.bankHandle);
+        this.assert(bank.bankHandle.unload());
 
         await this.wrapper.awaitBankLoadingState(
-          bankOrName.bankHandle,
+          bank.bankHandle,
           this.FMOD.STUDIO_LOADING_STATE_UNLOADED
         );
 
-        bankOrName.loaded = false;
+        bank.loaded = false;
+        this._setBankState(bank, "unloaded");
 
         // Remove from wrapper tracking
-        this.wrapper.banks.delete(bankOrName.name);
-        this.wrapper.eventDescriptions.clear();
-
-        return bankOrName;
+        this.wrapper.banks.delete(bank.name);
       } catch (error) {
         console.error(`FMOD [unloadBank]: Failed to unload bank`, error);
         throw error;
       }
     }
 
-    async unloadAllBanks() {
-      await Promise.all(
-        this.bankConfigs.map(async (bank) => {
-          if (bank.loaded) {
-            await this.unloadBank(bank);
-          }
-        })
-      );
+    async acquireBank(bankOrName, owner = "default", loadSampleData) {
+      if (typeof bankOrName === "string") {
+        bankOrName =
+          this.banksByName.get(bankOrName) || this.banksByPath.get(bankOrName);
+      }
+
+      if (!bankOrName) {
+        console.error("Bank not found.");
+        return null;
+      }
+
+      const bank = bankOrName;
+      if (!bank.owners) bank.owners = new Map();
+      bank.owners.set(owner, (bank.owners.get(owner) || 0) + 1);
+      // Too late to cancel a running unload, loadBank reloads after it
+      const pending = this._pendingBankUnloads.get(bank);
+      if (pending && !pending.unloading) {
+        this._pendingBankUnloads.delete(bank);
+      }
+
+      try {
+        await this.loadBank(bank, loadSampleData);
+      } catch (error) {
+        // Already reported through bank-state / bank-load-failed
+      }
+      return this.describeBank(bank);
     }
 
-    //====================================================================
-    // Event Management Methods (Delegated to Wrapper)
-    //====================================================================
+    releaseBank(bankOrName, owner = "default", policy) {
+      if (typeof bankOrName === "string") {
+        bankOrName =
+          this.banksByName.get(bankOrName) || this.banksByPath.get(bankOrName);
+      }
+
+      if (!bankOrName || !bankOrName.owners || !bankOrName.owners.has(owner)) {
+        console.warn(
+          `FMOD [releaseBank]: Bank "${
+            bankOrName ? bankOrName.name : "?"
+          }" is not held by "${owner}".`
+        );
+        return bankOrName ? this.describeBank(bankOrName) : null;
+      }
+
+      const bank = bankOrName;
+      const count = bank.owners.get(owner) - 1;
+      if (count > 0) {
+        bank.owners.set(owner, count);
+      } else {
+        bank.owners.delete(owner);
+      }
+
+      if (this._getBankRefCount(bank) === 0) {
+        this._pendingBankUnloads.set(bank, {
+          time: Date.now() + this.bankUnloadDelay,
+          policy: policy || this.bankUnloadPolicy,
+          unloading: false,
+          eventIds: null, // Listed once, on the first check
+        });
+      }
+      return this.describeBank(bank);
+    }
+
+    releaseBankOwner(owner, policy) {
+      const released = [];
+      for (const bank of this.bankConfigs) {
+        if (!bank.owners || !bank.owners.has(owner)) continue;
+        // Drop every reference the owner holds at once
+        bank.owners.set(owner, 1);
+        this.releaseBank(bank, owner, policy);
+        released.push(bank.name);
+      }
+      return released;
+    }
+
+    _getBankRefCount(bank) {
+      if (!bank.owners) return 0;
+      let count = 0;
+      for (const n of bank.owners.values()) count += n;
+      return count;
+    }
+
+    _processPendingBankUnloads() {
+      if (this._pendingBankUnloads.size === 0) return;
+
+      const now = Date.now();
+      for (const [bank, pending] of this._pendingBankUnloads) {
+        if (pending.unloading || now < pending.time) continue;
+        if (this._getBankRefCount(bank) > 0) {
+          this._pendingBankUnloads.delete(bank);
+          continue;
+        }
+        // Wait for an in-flight load, then unload
+        if (bank.loadingPromise) continue;
+        if (!bank.loaded) {
+          this._pendingBankUnloads.delete(bank);
+          continue;
+        }
+
+        if (!pending.eventIds) {
+          pending.eventIds = this.wrapper.getBankEventIds(bank.bankHandle);
+        }
+        const playing = this.wrapper.getBankInstanceIds(
+          bank.bankHandle,
+          true,
+          pending.eventIds
+        );
+        if (playing.length > 0) {
+          if (pending.policy === "protect") {
+            pending.time = now + this.bankUnloadCheckInterval;
+            continue;
+          }
+          for (const id of playing) {
+            this.wrapper.stopEvent(null, id, false, true);
+          }
+        }
+
+        // Not through unloadBank: owners acquired meanwhile must survive
+        pending.unloading = true;
+        this._unloadBank(bank)
+          .catch(() => {})
+          .finally(() => {
+            // A release made during the unload queues a new entry
+            if (this._pendingBankUnloads.get(bank) === pending) {
+              this._pendingBankUnloads.delete(bank);
+            }
+          });
+      }
+    }
+
+    async _readBankBytes(bank, onProgress) {
+      bank.fromCache = false;
+      if (bank.data) {
+        return this._bankDataToInt8Array(bank.data);
+      }
+      if (!bank.url) {
+        throw this._createLoadError(
+          "invalid-source",
+          `Bank "${bank.name}" data was dropped after loading, register it again or with keepData to reload it`
+        );
+      }
+      if (this.bankCache) {
+        try {
+          const cached = await this.bankCache.get(bank.url);
+          if (cached) {
+            bank.fromCache = true;
+            this._revalidateCachedBank(bank);
+            return cached;
+          }
+        } catch (error) {
+          console.warn(
+            `FMOD [loadBank]: Bank cache read failed for bank="${bank.name}"`,
+            error
+          );
+        }
+      }
+
+      return this.fetchUrlAsInt8Array(
+        bank.url,
+        onProgress,
+        (response) => {
+          bank.contentHash = response.headers.get("ETag") || "";
+        },
+        { signal: bank.abortController && bank.abortController.signal }
+      );
+    }
+
+    _revalidateCachedBank(bank) {
+      // The cached copy is served right away. A bank replaced at the same URL
+      // within the same project version is dropped for the next load instead.
+      this._getRemoteBankHash(bank)
+        .then((hash) => this.bankCache.revalidate(bank.url, hash))
+        .catch((error) =>
+          console.warn(
+            `FMOD [loadBank]: Bank cache revalidation failed for bank="${bank.name}"`,
+            error
+          )
+        );
+    }
+
+    async _getRemoteBankHash(bank) {
+      // A HEAD request returns the current ETag without downloading the bank
+      const controller = new AbortController();
+      const timer = setTimeout(
+        () => controller.abort(),
+        this.bankFetchTimeout || 30000
+      );
+      try {
+        const response = await fetch(bank.url, {
+          method: "HEAD",
+          cache: "no-store",
+          signal: controller.signal,
+        });
+        return (response.ok && response.headers.get("ETag")) || "";
+      } catch (error) {
+        // Offline or no ETag: only the version is checked
+        return "";
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    _storeBankInCache(bank, memory) {
+      if (!this.bankCache || !bank.url) return;
+      this.bankCache
+        .put(bank.url, memory, bank.contentHash)
+        .catch((error) =>
+          console.warn(
+            `FMOD [loadBank]: Bank cache write failed for bank="${bank.name}"`,
+            error
+          )
+        );
+    }
+
+    configureBankCache(enabled, version = "", maxSize = 0) {
+      if (!enabled) {
+        this.bankCache = null;
+        return false;
+      }
+
+      const cache = new BankCache({ version, maxSize });
+      if (!cache.isAvailable) {
+        console.warn(
+          "FMOD [configureBankCache]: Cache API unavailable, banks will not be cached"
+        );
+        this.bankCache = null;
+        return false;
+      }
+
+      this.bankCache = cache;
+      // Entries from a previous project version are dead weight
+      cache
+        .invalidate()
+        .catch((error) =>
+          console.error(`FMOD [configureBankCache]: Invalidation failed`, error)
+        );
+      return true;
+    }
+
+    async getBankCacheSize() {
+      if (!this.bankCache) return { entries: 0, size: 0, maxSize: 0 };
+      try {
+        return await this.bankCache.getSize();
+      } catch (error) {
+        console.error(`FMOD [getBankCacheSize]: Failed`, error);
+        return { entries: 0, size: 0, maxSize: this.bankCache.maxSize };
+      }
+    }
+
+    async clearBankCache(bankOrName) {
+      if (!this.bankCache) return 0;
+
+      let url;
+      if (bankOrName) {
+        const bank =
+          this.banksByName.get(bankOrName) || this.banksByPath.get(bankOrName);
+        url = bank ? bank.url : bankOrName;
+      }
+
+      try {
+        return await this.bankCache.evict(url);
+      } catch (error) {
+        console.error(
+          `FMOD [clearBankCache]: Failed for bank="${bankOrName || "*"}"`,
+          error
+        );
+        return 0;
+      }
+    }
+
+    registerBank(
+      name,
+      { path, url, data, loadSampleData = false, keepData = false } = {}
+    ) {
+      if (!name || (!url && !data)) {
+        console.error(
+          "FMOD [registerBank]: A name and a url or data are required."
+        );
+        return null;
+      }
+
+      const existing =
+        this.banksByName.get(name) || (path && this.banksByPath.get(path));
+      if (existing) {
+        if (existing.loaded || existing.loadingPromise) {
+          console.error(
+            `FMOD [registerBank]: Bank "${name}" is in use, unload it before replacing it.`
+          );
+          return null;
+        }
+        // Replace the source of a known bank (e.g. a mod overriding it)
+        existing.url = url || null;
+        existing.data = data || null;
+        existing.keepData = keepData;
+        existing.loadSampleData = loadSampleData;
+        return existing;
+      }
+
+      this.PreInitLoadBank(
+        path || name,
+        false,
+        false,
+        name,
+        url || null,
+        loadSampleData
+      );
+      const bank = this.banksByName.get(name);
+      bank.data = data || null;
+      // In-memory bytes are dropped once loaded unless the bank must reload later
+      bank.keepData = keepData;
+      bank.dynamic = true;
+      return bank;
+    }
+
+    async unregisterBank(bankOrName) {
+      if (typeof bankOrName === "string") {
+        bankOrName =
+          this.banksByName.get(bankOrName) || this.banksByPath.get(bankOrName);
+      }
+
+      if (!bankOrName) {
+        console.error("Bank not found.");
+        return false;
+      }
+
+      const bank = bankOrName;
+      this.abortBankLoad(bank);
+      if (bank.loadingPromise) {
+        await bank.loadingPromise.catch(() => {});
+      }
+      if (bank.loaded) {
+        await this.unloadBank(bank, true);
+      }
+
+      this.bankConfigs.splice(this.bankConfigs.indexOf(bank), 1);
+      this.banksByName.delete(bank.name);
+      this.banksByPath.delete(bank.path);
+      this._bankLoadingBatch.delete(bank);
+      bank.data = null;
+      return true;
+    }
+
+    async loadBankFromSource(name, source, loadSampleData) {
+      const existing = this.banksByName.get(name);
+      if (existing && existing.loaded && !source.data) {
+        if (existing.url === source.url) return this.describeBank(existing);
+      }
+
+      const bank = this.registerBank(name, { ...source, loadSampleData });
+      if (!bank) return null;
+
+      try {
+        return this.describeBank(await this.loadBank(bank, loadSampleData));
+      } catch (error) {
+        // Already reported through bank-state / bank-load-failed
+        return this.describeBank(bank);
+      }
+    }
+
+    async _bankDataToInt8Array(data) {
+      if (typeof Blob !== "undefined" && data instanceof Blob) {
+        return new Int8Array(await data.arrayBuffer());
+      }
+      if (ArrayBuffer.isView(data)) {
+        return new Int8Array(data.buffer, data.byteOffset, data.byteLength);
+      }
+      if (data instanceof ArrayBuffer) {
+        return new Int8Array(data);
+      }
+      throw this._createLoadError(
+        "invalid-source",
+        "Bank data must be an ArrayBuffer, typed array or Blob"
+      );
+    }
+
+    describeBank(bank) {
+      if (!bank) return null;
+      return {
+        name: bank.name,
+        path: bank.path,
+        url: bank.url,
+        loaded: bank.loaded,
+        state: bank.state || "unloaded",
+        fromCache: !!bank.fromCache,
+        dynamic: !!bank.dynamic,
+        refCount: this._getBankRefCount(bank),
+        owners: bank.owners ? Array.from(bank.owners.keys()) : [],
+        unloadPending: this._pendingBankUnloads.has(bank),
+        failure: bank.state === "failed" ? bank.failure || null : null,
+      };
+    }
+
+    getBanks() {
+      return this.bankConfigs.map((bank) => this.describeBank(bank));
+    }
+
+    getBankLoadingProgress() {
+      const banks = Array.from(this._bankLoadingBatch);
+      const progress = banks.length
+        ? banks.reduce((sum, bank) => sum + bank.progress, 0) / banks.length
+        : 1;
+
+      return {
+        progress,
+        failed: banks.filter((bank) => bank.state === "failed").length,
+        banks: banks.map((bank) => ({
+          name: bank.name,
+          state: bank.state,
+          progress: bank.progress,
+          loadedBytes: bank.loadedBytes,
+          totalBytes: bank.totalBytes,
+          error: bank.error,
+        })),
+      };
+    }
+
+    _isBankLoadingDone(bank) {
+      return (
+        bank.state === "failed" ||
+        bank.state === "unloaded" ||
+        bank.state === "sample-data-loaded" ||
+        (bank.state === "loaded" && !bank.pendingSampleData)
+      );
+    }
+
+    _startBankLoading(bank, loadSampleData) {
+      // A finished batch is replaced by the next one
+      if (
+        Array.from(this._bankLoadingBatch).every((b) =>
+          this._isBankLoadingDone(b)
+        )
+      ) {
+        this._bankLoadingBatch.clear();
+      }
+      this._bankLoadingBatch.add(bank);
+
+      bank.pendingSampleData = !!loadSampleData;
+      this._setBankState(bank, "fetching", {
+        loadedBytes: 0,
+        totalBytes: 0,
+        error: null,
+        failure: null,
+      });
+    }
+
+    _setBankState(bank, state, details = {}) {
+      bank.state = state;
+      if (state === "loaded" || state === "unloaded") this._stateDirty = true;
+      Object.assign(bank, details);
+
+      // Fetching covers 0 to 0.8, parsing and sample data the rest
+      switch (state) {
+        case "fetching":
+          bank.progress = bank.totalBytes
+            ? 0.8 * Math.min(1, bank.loadedBytes / bank.totalBytes)
+            : 0;
+          break;
+        case "parsing":
+          bank.progress = 0.8;
+          break;
+        case "loaded":
+          bank.progress = bank.pendingSampleData ? 0.9 : 1;
+          break;
+        case "sample-data-loading":
+          bank.progress = bank.pendingSampleData ? 0.9 : bank.progress;
+          break;
+        case "unloaded":
+          bank.progress = 0;
+          this._bankLoadingBatch.delete(bank);
+          break;
+        default:
+          bank.progress = 1;
+      }
+
+      this.PostToRuntime("bank-state", {
+        name: bank.name,
+        path: bank.path,
+        state,
+        progress: bank.progress,
+        loadedBytes: bank.loadedBytes || 0,
+        totalBytes: bank.totalBytes || 0,
+        error: bank.error || null,
+        aggregateProgress: this.getBankLoadingProgress().progress,
+      });
+
+      // Loading groups report combined progress
+      for (const group of this.assetGroups.values()) {
+        if (group.state === "loading" && group.banks.includes(bank.name)) {
+          this._postAssetGroupState(group);
+        }
+      }
+    }
+
+    getBankContents(bankOrName) {
+      if (typeof bankOrName === "string") {
+        bankOrName =
+          this.banksByName.get(bankOrName) || this.banksByPath.get(bankOrName);
+      }
+
+      if (!bankOrName || !bankOrName.loaded) {
+        console.error("Bank not found or not loaded.");
+        return null;
+      }
+
+      try {
+        return {
+          name: bankOrName.name,
+          ...this.wrapper.getBankContents(bankOrName.bankHandle),
+        };
+      } catch (error) {
+        console.error(
+          `FMOD [getBankContents]: Failed for bank="${bankOrName.name}"`,
+          error
+        );
+        return null;
+      }
+    }
+
+    async unloadAllBanks() {
+      await Promise.all(
+        this.bankConfigs.map(async (bank) => {
+          if (bank.loaded) {
+            await this.unloadBank(bank, true);
+          }
+        })
+      );
+    }
+
+    //====================================================================
+    // Asset Group Methods
+    //====================================================================
+
+    defineAssetGroup(name, banks, events) {
+      const existing = this.assetGroups.get(name);
+      if (existing && existing.state !== "unloaded") {
+        console.error(
+          `FMOD [defineAssetGroup]: Group "${name}" is ${existing.state}, unload it before redefining it.`
+        );
+        return null;
+      }
+
+      this.assetGroups.set(name, {
+        name,
+        banks: this._parseAssetList(banks),
+        events: this._parseAssetList(events),
+        state: "unloaded",
+        loadedEvents: new Set(),
+        failed: [],
+        loadingPromise: null,
+      });
+      return this.getAssetGroupState(name);
+    }
+
+    async removeAssetGroup(name) {
+      if (!this.assetGroups.has(name)) return false;
+      await this.unloadAssetGroup(name);
+      this.assetGroups.delete(name);
+      return true;
+    }
+
+    async loadAssetGroup(name) {
+      const group = this.assetGroups.get(name);
+      if (!group) {
+        console.error(`FMOD [loadAssetGroup]: Unknown group "${name}"`);
+        return null;
+      }
+
+      if (group.loadingPromise) return group.loadingPromise;
+      if (group.state === "loaded") return this.getAssetGroupState(name);
+
+      group.loadingPromise = this._loadAssetGroup(group).finally(() => {
+        group.loadingPromise = null;
+      });
+      return group.loadingPromise;
+    }
+
+    async _loadAssetGroup(group) {
+      const owner = this._assetGroupOwner(group);
+      group.failed = [];
+      this._setAssetGroupState(group, "loading");
+
+      // Banks first, the events' sample data needs them
+      await Promise.all(
+        group.banks.map(async (bankName) => {
+          const bank = await this.acquireBank(bankName, owner);
+          if (!bank || !bank.loaded) group.failed.push(bankName);
+        })
+      );
+
+      await Promise.all(
+        group.events.map(async (event) => {
+          if (group.loadedEvents.has(event)) return;
+          try {
+            // Pinned so the sample data budget never evicts group events
+            await this.wrapper.loadEventSampleData(event, true);
+            group.loadedEvents.add(event);
+            this._postAssetGroupState(group);
+          } catch (error) {
+            console.error(
+              `FMOD [loadAssetGroup]: Failed to load sample data for event="${event}" in group="${group.name}"`,
+              error
+            );
+            group.failed.push(event);
+          }
+        })
+      );
+
+      this._setAssetGroupState(
+        group,
+        group.failed.length > 0 ? "failed" : "loaded"
+      );
+      return this.getAssetGroupState(group.name);
+    }
+
+    async unloadAssetGroup(name, policy) {
+      const group = this.assetGroups.get(name);
+      if (!group) {
+        console.error(`FMOD [unloadAssetGroup]: Unknown group "${name}"`);
+        return null;
+      }
+
+      if (group.loadingPromise) {
+        await group.loadingPromise.catch(() => {});
+      }
+      if (group.state === "unloaded") return this.getAssetGroupState(name);
+
+      this._setAssetGroupState(group, "unloading");
+      await Promise.all(
+        Array.from(group.loadedEvents).map((event) =>
+          this.wrapper
+            .unloadEventSampleData(event, true)
+            .catch((error) =>
+              console.error(
+                `FMOD [unloadAssetGroup]: Failed to unload sample data for event="${event}" in group="${name}"`,
+                error
+              )
+            )
+        )
+      );
+      group.loadedEvents.clear();
+
+      // Banks unload once no other group or owner holds them
+      this.releaseBankOwner(this._assetGroupOwner(group), policy);
+      group.failed = [];
+      this._setAssetGroupState(group, "unloaded");
+      return this.getAssetGroupState(name);
+    }
+
+    getAssetGroupState(name) {
+      const group = this.assetGroups.get(name);
+      if (!group) return null;
+
+      const banks = group.banks.map((bankName) => {
+        const bank =
+          this.banksByName.get(bankName) || this.banksByPath.get(bankName);
+        return {
+          name: bankName,
+          state: bank ? bank.state || "unloaded" : "unknown",
+          progress: bank && group.state !== "unloaded" ? bank.progress || 0 : 0,
+        };
+      });
+      const events = group.events.map((event) => ({
+        name: event,
+        loaded: group.loadedEvents.has(event),
+      }));
+
+      // Every bank and event weighs the same
+      const total = banks.length + events.length;
+      const progress = total
+        ? (banks.reduce((sum, bank) => sum + bank.progress, 0) +
+            events.filter((event) => event.loaded).length) /
+          total
+        : 1;
+
+      return {
+        name,
+        state: group.state,
+        ready: group.state === "loaded",
+        progress: group.state === "loaded" ? 1 : progress,
+        banks,
+        events,
+        failed: group.failed.slice(),
+      };
+    }
+
+    getAssetGroups() {
+      return Array.from(this.assetGroups.keys()).map((name) =>
+        this.getAssetGroupState(name)
+      );
+    }
+
+    _setAssetGroupState(group, state) {
+      group.state = state;
+      this._postAssetGroupState(group);
+    }
+
+    _postAssetGroupState(group) {
+      this.PostToRuntime(
+        "asset-group-state",
+        this.getAssetGroupState(group.name)
+      );
+    }
+
+    _assetGroupOwner(group) {
+      return `group:${group.name}`;
+    }
+
+    _parseAssetList(list) {
+      if (Array.isArray(list)) return list.filter(Boolean);
+      // Event sheets pass lists as comma or newline separated strings
+      return (list || "")
+        .split(/[,\n]/)
+        .map((item) => item.trim())
+        .filter(Boolean);
+    }
+
+    //====================================================================
+    // Event Management Methods (Delegated to Wrapper)
+    //====================================================================
+
+    instantiateEvent(event, tags, preloadSampleData, notifyReady) {
+      if (!this.wrapper) return null;
+      try {
+        return this.wrapper.instantiateEvent(
+          event,
+          tags,
+          preloadSampleData,
+          notifyReady
+        );
+      } catch (error) {
+        console.error(
+          `FMOD [instantiateEvent]: Failed for event="${event}", tags="${tags}"`,
+          error
+        );
+        return null;
+      }
+    }
+
+    startEventWhenReady(event, tags, destroyWhenStopped) {
+      if (!this.wrapper) return null;
+      try {
+        return this.wrapper.startEventWhenReady(
+          event,
+          tags,
+          destroyWhenStopped
+        );
+      } catch (error) {
+        console.error(
+          `FMOD [startEventWhenReady]: Failed for event="${event}", tags="${tags}"`,
+          error
+        );
+        return null;
+      }
+    }
+
+    isEventReady(event, tag) {
+      if (!this.wrapper) return false;
+      try {
+        return this.wrapper.isEventReady(event, tag);
+      } catch (error) {
+        console.error(
+          `FMOD [isEventReady]: Failed for event="${event}", tag="${tag}"`,
+          error
+        );
+        return false;
+      }
+    }
+
+    setConcurrencyLimit(scope, target, max, policy) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.setConcurrencyLimit(scope, target, max, policy);
+      } catch (error) {
+        console.error(
+          `FMOD [setConcurrencyLimit]: Failed for ${scope}="${target}"`,
+          error
+        );
+      }
+    }
+
+    getConcurrencyLimits() {
+      if (!this.wrapper) return [];
+      try {
+        return this.wrapper.getConcurrencyLimits();
+      } catch (error) {
+        console.error(`FMOD [getConcurrencyLimits]: Failed`, error);
+        return [];
+      }
+    }
+
+    setThrottle(scope, target, cooldown, maxStarts, window) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.setThrottle(scope, target, cooldown, maxStarts, window);
+      } catch (error) {
+        console.error(
+          `FMOD [setThrottle]: Failed for ${scope}="${target}"`,
+          error
+        );
+      }
+    }
+
+    getThrottleStats() {
+      if (!this.wrapper) return [];
+      try {
+        return this.wrapper.getThrottleStats();
+      } catch (error) {
+        console.error(`FMOD [getThrottleStats]: Failed`, error);
+        return [];
+      }
+    }
+
+    resetThrottleStats() {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.resetThrottleStats();
+      } catch (error) {
+        console.error(`FMOD [resetThrottleStats]: Failed`, error);
+      }
+    }
+
+    setInstancePool(name, size, prewarm) {
+      if (!this.wrapper) return 0;
+      try {
+        return this.wrapper.setInstancePool(name, size, prewarm);
+      } catch (error) {
+        console.error(`FMOD [setInstancePool]: Failed for "${name}"`, error);
+        return 0;
+      }
+    }
+
+    getInstancePoolStats() {
+      if (!this.wrapper) return [];
+      try {
+        return this.wrapper.getInstancePoolStats();
+      } catch (error) {
+        console.error(`FMOD [getInstancePoolStats]: Failed`, error);
+        return [];
+      }
+    }
 
-    instantiateEvent(event, tags) {
-      if (!this.wrapper) return null;
+    clearInstancePools() {
+      if (!this.wrapper) return;
       try {
-        return this.wrapper.instantiateEvent(event, tags);
+        this.wrapper.clearInstancePools();
       } catch (error) {
-        console.error(
-          `FMOD [instantiateEvent]: Failed for event="${event}", tags="${tags}"`,
-          error
-        );
-        return null;
+        console.error(`FMOD [clearInstancePools]: Failed`, error);
+      }
+    }
+
+    setPreloadSampleData(enabled) {
+      this.preloadSampleData = !!enabled;
+      if (this.wrapper) {
+        this.wrapper.preloadSampleDataOnInstantiate = this.preloadSampleData;
       }
     }
 
@@ -712,6 +2226,106 @@ export default function (parentClass) {
       }
     }
 
+    setTagPaused(tag, paused) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.setTagPaused(tag, paused);
+      } catch (error) {
+        console.error(`FMOD [setTagPaused]: Failed for tag="${tag}"`, error);
+      }
+    }
+
+    setTagVolume(tag, volume) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.setTagVolume(tag, volume);
+      } catch (error) {
+        console.error(`FMOD [setTagVolume]: Failed for tag="${tag}"`, error);
+      }
+    }
+
+    setTagMuted(tag, muted) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.setTagMuted(tag, muted);
+      } catch (error) {
+        console.error(`FMOD [setTagMuted]: Failed for tag="${tag}"`, error);
+      }
+    }
+
+    clearTagState(tag) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.clearTagState(tag);
+      } catch (error) {
+        console.error(`FMOD [clearTagState]: Failed for tag="${tag}"`, error);
+      }
+    }
+
+    getTagState(tag) {
+      if (!this.wrapper) return null;
+      try {
+        return this.wrapper.getTagState(tag);
+      } catch (error) {
+        console.error(`FMOD [getTagState]: Failed for tag="${tag}"`, error);
+        return null;
+      }
+    }
+
+    getTagStates() {
+      if (!this.wrapper) return [];
+      try {
+        return this.wrapper.getTagStates();
+      } catch (error) {
+        console.error(`FMOD [getTagStates]: Failed`, error);
+        return [];
+      }
+    }
+
+    setEventVolume(name, tag, volume) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.setEventVolume(name, tag, volume);
+      } catch (error) {
+        console.error(
+          `FMOD [setEventVolume]: Failed for name="${name}", tag="${tag}", volume=${volume}`,
+          error
+        );
+      }
+    }
+
+    setEventPitch(name, tag, pitch) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.setEventPitch(name, tag, pitch);
+      } catch (error) {
+        console.error(
+          `FMOD [setEventPitch]: Failed for name="${name}", tag="${tag}", pitch=${pitch}`,
+          error
+        );
+      }
+    }
+
+    fadeEventVolume(name, tag, volume, duration, curve, stopWhenDone) {
+      if (!this.wrapper) return false;
+      try {
+        return this.wrapper.fadeEventVolume(
+          name,
+          tag,
+          volume,
+          duration,
+          curve,
+          stopWhenDone
+        );
+      } catch (error) {
+        console.error(
+          `FMOD [fadeEventVolume]: Failed for name="${name}", tag="${tag}", volume=${volume}`,
+          error
+        );
+        return false;
+      }
+    }
+
     stopEvent(name, tag, allowFadeOut, release) {
       if (!this.wrapper) return;
       try {
@@ -843,6 +2457,80 @@ export default function (parentClass) {
       }
     }
 
+    getEventState(name, tag) {
+      if (!this.wrapper) return null;
+      try {
+        return this.wrapper.getEventState(name, tag);
+      } catch (error) {
+        console.error(
+          `FMOD [getEventState]: Failed for name="${name}", tag="${tag}"`,
+          error
+        );
+        return null;
+      }
+    }
+
+    getEventDescriptionInfo(name) {
+      if (!this.wrapper) return null;
+      try {
+        return this.wrapper.getEventDescriptionInfo(name);
+      } catch (error) {
+        console.error(
+          `FMOD [getEventDescriptionInfo]: Failed for event="${name}"`,
+          error
+        );
+        return null;
+      }
+    }
+
+    getEventParameter(name, tag, parameter, isId) {
+      if (!this.wrapper) return null;
+      try {
+        return this.wrapper.getEventParameter(name, tag, parameter, isId);
+      } catch (error) {
+        console.error(
+          `FMOD [getEventParameter]: Failed for name="${name}", parameter="${parameter}"`,
+          error
+        );
+        return null;
+      }
+    }
+
+    isPlaying(id) {
+      if (!this.wrapper) return false;
+      try {
+        return this.wrapper.isPlaying(id);
+      } catch (error) {
+        console.error(`FMOD [isPlaying]: Failed for id=${id}`, error);
+        return false;
+      }
+    }
+
+    subscribeEventCallbacks(name, tag, types) {
+      if (!this.wrapper) return null;
+      try {
+        return this.wrapper.subscribeEventCallbacks(name, tag, types);
+      } catch (error) {
+        console.error(
+          `FMOD [subscribeEventCallbacks]: Failed for name="${name}", tag="${tag}", types="${types}"`,
+          error
+        );
+        return null;
+      }
+    }
+
+    unsubscribeEventCallbacks(subscriptionId) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.unsubscribeEventCallbacks(subscriptionId);
+      } catch (error) {
+        console.error(
+          `FMOD [unsubscribeEventCallbacks]: Failed for subscriptionId=${subscriptionId}`,
+          error
+        );
+      }
+    }
+
     setGlobalParameter(parameter, isId, value, ignoreSeekSpeed) {
       if (!this.wrapper) return;
       try {
@@ -877,6 +2565,70 @@ export default function (parentClass) {
       }
     }
 
+    tweenEventParameter(name, tag, parameter, isId, value, duration, curve) {
+      if (!this.wrapper) return false;
+      try {
+        return this.wrapper.tweenEventParameter(
+          name,
+          tag,
+          parameter,
+          isId,
+          value,
+          duration,
+          curve
+        );
+      } catch (error) {
+        console.error(
+          `FMOD [tweenEventParameter]: Failed for name="${name}", parameter="${parameter}"`,
+          error
+        );
+        return false;
+      }
+    }
+
+    tweenGlobalParameter(parameter, isId, value, duration, curve) {
+      if (!this.wrapper) return false;
+      try {
+        return this.wrapper.tweenGlobalParameter(
+          parameter,
+          isId,
+          value,
+          duration,
+          curve
+        );
+      } catch (error) {
+        console.error(
+          `FMOD [tweenGlobalParameter]: Failed for parameter="${parameter}"`,
+          error
+        );
+        return false;
+      }
+    }
+
+    cancelEventParameterTween(name, tag, parameter, isId) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.cancelEventParameterTween(name, tag, parameter, isId);
+      } catch (error) {
+        console.error(
+          `FMOD [cancelEventParameterTween]: Failed for name="${name}", parameter="${parameter}"`,
+          error
+        );
+      }
+    }
+
+    cancelGlobalParameterTween(parameter, isId) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.cancelGlobalParameterTween(parameter, isId);
+      } catch (error) {
+        console.error(
+          `FMOD [cancelGlobalParameterTween]: Failed for parameter="${parameter}"`,
+          error
+        );
+      }
+    }
+
     //====================================================================
     // 3D Spatial Audio Methods (Delegated to Wrapper)
     //====================================================================
@@ -1063,6 +2815,28 @@ export default function (parentClass) {
       }
     }
 
+    fadeBusVolume(bus, volume, duration, curve) {
+      if (!this.wrapper) return false;
+      try {
+        return this.wrapper.fadeBusVolume(bus, volume, duration, curve);
+      } catch (error) {
+        console.error(
+          `FMOD [fadeBusVolume]: Failed for bus="${bus}", volume=${volume}`,
+          error
+        );
+        return false;
+      }
+    }
+
+    cancelBusFade(bus) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.cancelBusFade(bus);
+      } catch (error) {
+        console.error(`FMOD [cancelBusFade]: Failed for bus="${bus}"`, error);
+      }
+    }
+
     setBusPaused(bus, paused) {
       if (!this.wrapper) return;
       try {
@@ -1087,6 +2861,16 @@ export default function (parentClass) {
       }
     }
 
+    getBusState(bus) {
+      if (!this.wrapper) return null;
+      try {
+        return this.wrapper.getBusState(bus);
+      } catch (error) {
+        console.error(`FMOD [getBusState]: Failed for bus="${bus}"`, error);
+        return null;
+      }
+    }
+
     setVCAVolume(vca, volume) {
       if (!this.wrapper) return;
       try {
@@ -1099,6 +2883,38 @@ export default function (parentClass) {
       }
     }
 
+    getVCAVolume(vca) {
+      if (!this.wrapper) return null;
+      try {
+        return this.wrapper.getVCAVolume(vca);
+      } catch (error) {
+        console.error(`FMOD [getVCAVolume]: Failed for vca="${vca}"`, error);
+        return null;
+      }
+    }
+
+    fadeVCAVolume(vca, volume, duration, curve) {
+      if (!this.wrapper) return false;
+      try {
+        return this.wrapper.fadeVCAVolume(vca, volume, duration, curve);
+      } catch (error) {
+        console.error(
+          `FMOD [fadeVCAVolume]: Failed for vca="${vca}", volume=${volume}`,
+          error
+        );
+        return false;
+      }
+    }
+
+    cancelVCAFade(vca) {
+      if (!this.wrapper) return;
+      try {
+        this.wrapper.cancelVCAFade(vca);
+      } catch (error) {
+        console.error(`FMOD [cancelVCAFade]: Failed for vca="${vca}"`, error);
+      }
+    }
+
     setSuspended(suspended, time) {
       if (!this.wrapper) return;
       if (time <= this.lastSuspendTime) return;
@@ -1114,6 +2930,23 @@ export default function (parentClass) {
       }
     }
 
+    //====================================================================
+    // Offline Rendering Methods (Delegated to Wrapper)
+    //====================================================================
+
+    async renderOffline(steps, duration, options) {
+      if (!this.wrapper || !this._loaded) return null;
+      try {
+        return await this.wrapper.renderOffline(steps, duration, options);
+      } catch (error) {
+        console.error(
+          `FMOD [renderOffline]: Failed for duration=${duration}`,
+          error
+        );
+        return null;
+      }
+    }
+
     //====================================================================
     // Sample Data Management Methods (Delegated to Wrapper)
     //====================================================================
@@ -1129,13 +2962,17 @@ export default function (parentClass) {
         return;
       }
 
+      this._setBankState(bankOrName, "sample-data-loading");
       try {
         await this.wrapper.loadBankSampleData(bankOrName.bankHandle);
+        bankOrName.pendingSampleData = false;
+        this._setBankState(bankOrName, "sample-data-loaded");
       } catch (error) {
         console.error(
           `FMOD [loadBankSampleData]: Failed for bank="${bankOrName.name}"`,
           error
         );
+        this._reportBankFailure(bankOrName, error);
       }
     }
 
@@ -1183,5 +3020,29 @@ export default function (parentClass) {
         );
       }
     }
+
+    setSampleDataBudget(bytes) {
+      this.sampleDataBudget = bytes || 0;
+      if (!this.wrapper) return [];
+      try {
+        return this.wrapper.setSampleDataBudget(this.sampleDataBudget);
+      } catch (error) {
+        console.error(
+          `FMOD [setSampleDataBudget]: Failed for bytes=${bytes}`,
+          error
+        );
+        return [];
+      }
+    }
+
+    getSampleDataUsage() {
+      if (!this.wrapper) return null;
+      try {
+        return this.wrapper.getSampleDataUsage();
+      } catch (error) {
+        console.error(`FMOD [getSampleDataUsage]: Failed`, error);
+        return null;
+      }
+    }
   };
 }
@@ -1,11 +1,26 @@
-import { id } from "../../config.caw.js";
+import { id, properties as propertyConfigs } from "../../config.caw.js";
+
+// Flags accepted after a bank file in the "banks" property
+const BANK_FLAGS = ["preload", "non-blocking", "load-sample-data"];
 
 export default function (parentClass) {
   return class extends parentClass {
     constructor() {
       super();
       const properties = this._getInitProperties();
+      // Resolves with the effective init settings when auto-init is enabled
+      this._autoInitPromise = null;
+      // Optional (path) => url override for bank files, e.g. for mods
+      this._bankUrlResolver = null;
       if (properties) {
+        const settings = this._readProperties(properties);
+        if (settings["auto-init"]) {
+          this._autoInitPromise = this._autoInit(settings);
+          // Reported here as nothing may await WaitForAutoInit
+          this._autoInitPromise.catch((error) =>
+            console.error("FMOD: Auto-init failed", error)
+          );
+        }
       }
 
       if (!C3.Plugins.skymen_fmod) {
@@ -14,6 +29,15 @@ export default function (parentClass) {
         );
       }
 
+      // Latest audio state snapshot, used for savegames. Pushed by the DOM side
+      // after every change, SnapshotAudioState also refreshes timeline positions
+      this._audioState = null;
+      // Saved instance ID -> instance ID after the last savegame load
+      this._instanceIdMap = {};
+      this._addDOMMessageHandler("audio-state", (state) => {
+        this._audioState = state;
+      });
+
       globalThis.__skymen_fmod_js = this;
     }
 
@@ -33,6 +57,131 @@ export default function (parentClass) {
       this._addDOMMessageHandlers(arr);
     }
 
+    WaitForAutoInit() {
+      return this._autoInitPromise;
+    }
+
+    async SnapshotAudioState() {
+      // The pushed state is current, this also captures exact timeline positions
+      this._audioState = await this._postToDOMAsync("save-state");
+      return this._audioState;
+    }
+
+    SetBankUrlResolver(resolver) {
+      this._bankUrlResolver = resolver;
+    }
+
+    async LoadBankFromProjectFile(path, name, loadSampleData = false) {
+      const url = await this._resolveBankUrl(path);
+      return this._postToDOMAsync("load-bank-from-url", [
+        name || path.split("/").pop(),
+        url,
+        loadSampleData,
+      ]);
+    }
+
+    LoadBankFromUrl(name, url, loadSampleData = false) {
+      return this._postToDOMAsync("load-bank-from-url", [
+        name,
+        url,
+        loadSampleData,
+      ]);
+    }
+
+    LoadBankFromData(name, data, loadSampleData = false, keepData = false) {
+      // data: ArrayBuffer, typed array or Blob, copied to the DOM side. keepData
+      // keeps the bytes there so the bank can be reloaded after an unload.
+      return this._postToDOMAsync("load-bank-from-memory", [
+        name,
+        data,
+        loadSampleData,
+        keepData,
+      ]);
+    }
+
+    async _resolveBankUrl(path) {
+      if (this._bankUrlResolver) {
+        const url = await this._bankUrlResolver(path);
+        if (url) return url;
+      }
+      return this.runtime.assets.getProjectFileUrl(path);
+    }
+
+    _readProperties(values) {
+      const settings = {};
+      propertyConfigs.forEach((prop, i) => {
+        let value = values[i];
+        if (prop.type === "combo") {
+          // Combos are stored as item indices
+          const item = prop.options.items[value];
+          value = item ? Object.keys(item)[0] : prop.options.initialValue;
+        }
+        settings[prop.id] = value;
+      });
+      return settings;
+    }
+
+    _parseBankList(text) {
+      const banks = [];
+      for (const line of (text || "").split("\n")) {
+        const tokens = line.trim().split(/\s+/);
+        const flags = [];
+        while (tokens.length > 1 && BANK_FLAGS.includes(tokens.at(-1))) {
+          flags.push(tokens.pop());
+        }
+        // Remaining tokens are the file path, which may contain spaces
+        const path = tokens.join(" ");
+        if (!path) continue;
+
+        banks.push({
+          path,
+          name: path.split("/").pop(),
+          preload: flags.includes("preload"),
+          nonBlocking: flags.includes("non-blocking"),
+          loadSampleData: flags.includes("load-sample-data"),
+        });
+      }
+      return banks;
+    }
+
+    async _autoInit(settings) {
+      // Banks must be registered before init, which preloads them
+      for (const bank of this._parseBankList(settings["banks"])) {
+        const url = await this._resolveBankUrl(bank.path);
+        await this._postToDOMAsync("pre-init-load-bank", [
+          bank.path,
+          bank.preload,
+          bank.nonBlocking,
+          bank.name,
+          url,
+          bank.loadSampleData,
+        ]);
+      }
+
+      return this._postToDOMAsync("pre-init", {
+        dspBufferSize: settings["dsp-buffer-size"],
+        dspBufferCount: settings["dsp-buffer-count"],
+        maxChannels: settings["max-channels"],
+        initialMemory: settings["initial-memory"],
+        outputType: settings["output-type"],
+        speakerMode: settings["speaker-mode"],
+        sampleRate: settings["sample-rate"],
+        preloadSampleData: settings["preload-sample-data"],
+        sampleDataBudget: settings["sample-data-budget"] * 1024 * 1024,
+        stateSyncInterval: settings["savegame-sync-interval"],
+        bankCache: settings["bank-cache"]
+          ? {
+              version: this.runtime.projectVersion,
+              maxSize: settings["bank-cache-max-size"] * 1024 * 1024,
+            }
+          : null,
+      });
+    }
+
+    RemapInstanceId(id) {
+      return this._instanceIdMap[id] ?? id;
+    }
+
     _trigger(method) {
       super._trigger(self.C3.Plugins[id].Cnds[method]);
     }
@@ -43,12 +192,20 @@ export default function (parentClass) {
 
     _saveToJson() {
       return {
-        // data to be saved for savegames
+        audioState: this._audioState,
       };
     }
 
     _loadFromJson(o) {
-      // load state for savegames
+      if (!o || !o.audioState) return;
+      this._audioState = o.audioState;
+      this._postToDOMAsync("load-state", [o.audioState])
+        .then((idMap) => {
+          this._instanceIdMap = idMap || {};
+        })
+        .catch((error) =>
+          console.error("FMOD: Failed to restore the saved audio state", error)
+        );
     }
   };
 }
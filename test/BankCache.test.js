@@ -0,0 +1,129 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import BankCache from "../src/domside/BankCache.js";
+
+// In-memory stand-in for the browser Cache API
+function installFakeCaches() {
+  const stores = new Map();
+  const keyOf = (request) =>
+    typeof request === "string" ? request : request.url;
+  globalThis.caches = {
+    async open(name) {
+      if (!stores.has(name)) {
+        const entries = new Map();
+        stores.set(name, {
+          async match(request) {
+            return entries.get(keyOf(request))?.clone();
+          },
+          async put(request, response) {
+            const body = await response.arrayBuffer();
+            entries.set(
+              keyOf(request),
+              new Response(body, { headers: response.headers })
+            );
+          },
+          async delete(request) {
+            return entries.delete(keyOf(request));
+          },
+          async keys() {
+            return Array.from(entries.keys(), (url) => ({ url }));
+          },
+        });
+      }
+      return stores.get(name);
+    },
+  };
+}
+
+const URL_A = "https://example.com/banks/Master.bank";
+const bytes = (size) => new Int8Array(size).fill(1);
+
+beforeEach(() => installFakeCaches());
+
+test("returns stored bytes for the same URL and version", async () => {
+  const cache = new BankCache({ version: "1.0.0.0" });
+  assert.equal(await cache.put(URL_A, bytes(4), "etag-1"), true);
+
+  const cached = await cache.get(URL_A);
+  assert.deepEqual(Array.from(cached), [1, 1, 1, 1]);
+});
+
+test("keys entries by the resolved URL", async () => {
+  const cache = new BankCache({ version: "1" });
+  await cache.put("https://example.com/banks/sfx/../Master.bank", bytes(2));
+
+  assert.ok(await cache.get(URL_A));
+  assert.equal(await cache.get("https://example.com/Master.bank"), null);
+});
+
+test("misses and drops entries from another version", async () => {
+  await new BankCache({ version: "1" }).put(URL_A, bytes(2));
+
+  const cache = new BankCache({ version: "2" });
+  assert.equal(await cache.get(URL_A), null);
+  assert.equal((await cache.getEntries()).length, 0);
+});
+
+test("misses and drops entries whose hash changed", async () => {
+  const cache = new BankCache({ version: "1" });
+  await cache.put(URL_A, bytes(2), "etag-1");
+
+  assert.ok(await cache.get(URL_A, "etag-1"));
+  assert.equal(await cache.get(URL_A, "etag-2"), null);
+  assert.equal(await cache.get(URL_A), null);
+});
+
+test("checks only the version when no hash is given", async () => {
+  const cache = new BankCache({ version: "1" });
+  await cache.put(URL_A, bytes(2), "etag-1");
+
+  assert.ok(await cache.get(URL_A, ""));
+});
+
+test("revalidate drops entries whose hash changed", async () => {
+  const cache = new BankCache({ version: "1" });
+  await cache.put(URL_A, bytes(2), "etag-1");
+
+  assert.equal(await cache.revalidate(URL_A, ""), false);
+  assert.equal(await cache.revalidate(URL_A, "etag-1"), false);
+  assert.ok(await cache.get(URL_A));
+
+  assert.equal(await cache.revalidate(URL_A, "etag-2"), true);
+  assert.equal(await cache.get(URL_A), null);
+});
+
+test("invalidate removes entries from other versions only", async () => {
+  await new BankCache({ version: "1" }).put(URL_A, bytes(2));
+  const cache = new BankCache({ version: "2" });
+  await cache.put("https://example.com/banks/Music.bank", bytes(2));
+
+  assert.equal(await cache.invalidate(), 1);
+  assert.deepEqual(
+    (await cache.getEntries()).map((entry) => entry.url),
+    ["https://example.com/banks/Music.bank"]
+  );
+});
+
+test("evicts the oldest entries to stay under maxSize", async () => {
+  const cache = new BankCache({ version: "1", maxSize: 10 });
+  await cache.put("https://example.com/a.bank", bytes(4));
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await cache.put("https://example.com/b.bank", bytes(4));
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await cache.put("https://example.com/c.bank", bytes(4));
+
+  assert.deepEqual(
+    (await cache.getEntries()).map((entry) => entry.url).sort(),
+    ["https://example.com/b.bank", "https://example.com/c.bank"]
+  );
+  assert.equal(await cache.put(URL_A, bytes(11)), false);
+});
+
+test("does nothing without the Cache API", async () => {
+  delete globalThis.caches;
+  const cache = new BankCache({ version: "1" });
+
+  assert.equal(cache.isAvailable, false);
+  assert.equal(await cache.put(URL_A, bytes(2)), false);
+  assert.equal(await cache.get(URL_A), null);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EASING_CURVES } from "../src/domside/FMODWrapper.js";
+
+test("every curve starts at 0 and ends at 1", () => {
+  for (const [name, ease] of Object.entries(EASING_CURVES)) {
+    assert.ok(Math.abs(ease(0)) < 0.001, `${name}(0)`);
+    assert.ok(Math.abs(ease(1) - 1) < 0.001, `${name}(1)`);
+  }
+});
+
+test("every curve is monotonic", () => {
+  for (const [name, ease] of Object.entries(EASING_CURVES)) {
+    let previous = ease(0);
+    for (let i = 1; i <= 100; i++) {
+      const value = ease(i / 100);
+      assert.ok(value >= previous, `${name} decreases at ${i / 100}`);
+      previous = value;
+    }
+  }
+});
+
+test("linear returns its input", () => {
+  assert.equal(EASING_CURVES.linear(0.25), 0.25);
+});
+
+test("ease-in starts slow and ease-out starts fast", () => {
+  assert.ok(EASING_CURVES["ease-in"](0.5) < 0.5);
+  assert.ok(EASING_CURVES["ease-out"](0.5) > 0.5);
+});
+
+test("ease-in-out is symmetric around the midpoint", () => {
+  const ease = EASING_CURVES["ease-in-out"];
+  assert.equal(ease(0.5), 0.5);
+  for (const t of [0.1, 0.2, 0.3, 0.4]) {
+    assert.ok(Math.abs(ease(t) + ease(1 - t) - 1) < 1e-9, `at ${t}`);
+  }
+});
+
+test("exponential curves hit their endpoints exactly", () => {
+  assert.equal(EASING_CURVES.exponential(0), 0);
+  assert.equal(EASING_CURVES["exponential-out"](1), 1);
+});
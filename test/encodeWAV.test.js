@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodeWAV } from "../src/domside/FMODWrapper.js";
+
+const readString = (view, offset, length) =>
+  String.fromCharCode(...new Uint8Array(view.buffer, offset, length).values());
+
+test("writes a 16-bit PCM header", () => {
+  const view = new DataView(encodeWAV(new Float32Array(8), 48000, 2));
+
+  assert.equal(view.byteLength, 44 + 16);
+  assert.equal(readString(view, 0, 4), "RIFF");
+  assert.equal(view.getUint32(4, true), 36 + 16);
+  assert.equal(readString(view, 8, 4), "WAVE");
+  assert.equal(readString(view, 12, 4), "fmt ");
+  assert.equal(view.getUint32(16, true), 16);
+  assert.equal(view.getUint16(20, true), 1);
+  assert.equal(view.getUint16(22, true), 2);
+  assert.equal(view.getUint32(24, true), 48000);
+  assert.equal(view.getUint32(28, true), 48000 * 2 * 2);
+  assert.equal(view.getUint16(32, true), 4);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(readString(view, 36, 4), "data");
+  assert.equal(view.getUint32(40, true), 16);
+});
+
+test("scales samples to the 16-bit range", () => {
+  const view = new DataView(
+    encodeWAV(new Float32Array([0, 1, -1, 0.5, -0.5]), 44100, 1)
+  );
+  const samples = Array.from({ length: 5 }, (_, i) =>
+    view.getInt16(44 + i * 2, true)
+  );
+  assert.deepEqual(samples, [0, 32767, -32768, 16383, -16384]);
+});
+
+test("clips samples outside -1 to 1", () => {
+  const view = new DataView(encodeWAV(new Float32Array([2, -3]), 44100, 1));
+  assert.equal(view.getInt16(44, true), 32767);
+  assert.equal(view.getInt16(46, true), -32768);
+});
+
+test("encodes an empty render as a header only", () => {
+  const buffer = encodeWAV(new Float32Array(0), 44100, 2);
+  assert.equal(buffer.byteLength, 44);
+  assert.equal(new DataView(buffer).getUint32(40, true), 0);
+});
@@ -0,0 +1,288 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import FMODWrapper from "../src/domside/FMODWrapper.js";
+
+const STOPPED = 2;
+const PLAYING = 0;
+const IMMEDIATE = 1;
+
+// Just enough of the FMOD API for pooled instances
+function createFMOD() {
+  return {
+    OK: 0,
+    ErrorString: (result) => `error ${result}`,
+    STUDIO_PLAYBACK_PLAYING: PLAYING,
+    STUDIO_PLAYBACK_STOPPED: STOPPED,
+    STUDIO_STOP_ALLOWFADEOUT: 0,
+    STUDIO_STOP_IMMEDIATE: IMMEDIATE,
+    STUDIO_PARAMETER_READONLY: 1,
+    STUDIO_PARAMETER_AUTOMATIC: 2,
+    STUDIO_PARAMETER_GLOBAL: 4,
+    STUDIO_EVENT_PROPERTY_CHANNELPRIORITY: 0,
+    STUDIO_EVENT_PROPERTY_SCHEDULE_DELAY: 1,
+    STUDIO_EVENT_PROPERTY_SCHEDULE_LOOKAHEAD: 2,
+    STUDIO_EVENT_PROPERTY_MINIMUM_DISTANCE: 3,
+    STUDIO_EVENT_PROPERTY_MAXIMUM_DISTANCE: 4,
+    STUDIO_EVENT_PROPERTY_COOLDOWN: 5,
+    _3D_ATTRIBUTES: () => ({ position: {}, velocity: {}, forward: {}, up: {} }),
+  };
+}
+
+class StubInstance {
+  constructor(description) {
+    this.description = description;
+    this.valid = true;
+    this.state = STOPPED;
+    this.stops = 0;
+    this.params = {};
+    this.properties = {};
+    this.reverbLevels = [0.5, 0, 0, 0];
+    this.listenerMask = 1;
+    this.timeline = 0;
+    this.volume = 1;
+    this.pitch = 1;
+    this.paused = false;
+    this.attributes = null;
+  }
+  isValid() {
+    return this.valid;
+  }
+  release() {
+    this.valid = false;
+    return 0;
+  }
+  start() {
+    this.state = PLAYING;
+    return 0;
+  }
+  stop(mode) {
+    this.stops++;
+    // Fading out instances keep playing until the test stops them
+    if (mode === IMMEDIATE) this.state = STOPPED;
+    return 0;
+  }
+  getPlaybackState(out) {
+    out.val = this.state;
+    return 0;
+  }
+  getDescription(out) {
+    out.val = this.description;
+    return 0;
+  }
+  setCallback() {
+    return 0;
+  }
+  setTimelinePosition(position) {
+    this.timeline = position;
+    return 0;
+  }
+  setVolume(volume) {
+    this.volume = volume;
+    return 0;
+  }
+  setPitch(pitch) {
+    this.pitch = pitch;
+    return 0;
+  }
+  setPaused(paused) {
+    this.paused = paused;
+    return 0;
+  }
+  set3DAttributes(attributes) {
+    this.attributes = attributes;
+    return 0;
+  }
+  setParameterByName(name, value) {
+    this.params[name] = value;
+    return 0;
+  }
+  setProperty(index, value) {
+    this.properties[index] = value;
+    return 0;
+  }
+  getReverbLevel(index, out) {
+    out.val = this.reverbLevels[index];
+    return 0;
+  }
+  setReverbLevel(index, level) {
+    this.reverbLevels[index] = level;
+    return 0;
+  }
+  getListenerMask(out) {
+    out.val = this.listenerMask;
+    return 0;
+  }
+  setListenerMask(mask) {
+    this.listenerMask = mask;
+    return 0;
+  }
+}
+
+class StubDescription {
+  constructor() {
+    this.instances = [];
+  }
+  createInstance(out) {
+    out.val = new StubInstance(this);
+    this.instances.push(out.val);
+    return 0;
+  }
+  getParameterDescriptionCount(out) {
+    out.val = 1;
+    return 0;
+  }
+  getParameterDescriptionByIndex(index, out) {
+    out.val = { name: "speed", defaultvalue: 0.5, flags: 0 };
+    return 0;
+  }
+}
+
+const EVENT = "event:/shot";
+
+function createWrapper() {
+  const description = new StubDescription();
+  const wrapper = new FMODWrapper(createFMOD());
+  wrapper.system = {
+    update: () => 0,
+    getEvent(name, out) {
+      out.val = description;
+      return 0;
+    },
+  };
+  wrapper.initialized = true;
+  return { wrapper, description };
+}
+
+// Start an instance and stop it, so it is handed back to the pool
+function playAndStop(wrapper) {
+  const id = wrapper.startEvent(EVENT);
+  const instance = wrapper.instances.get(id).instance;
+  wrapper.stopEvent(null, id, false, true);
+  wrapper.update();
+  return instance;
+}
+
+const stats = (wrapper) => wrapper.getInstancePoolStats()[0];
+
+test("prewarms instances once the event is loaded", () => {
+  const { wrapper, description } = createWrapper();
+  wrapper.eventDescriptions.set(EVENT, description);
+
+  assert.equal(wrapper.setInstancePool(EVENT, 4, 2), 2);
+  assert.equal(description.instances.length, 2);
+  assert.equal(stats(wrapper).idle, 2);
+});
+
+test("recycles stopped instances and resets them", () => {
+  const { wrapper } = createWrapper();
+  wrapper.setInstancePool(EVENT, 2);
+
+  const id = wrapper.startEvent(EVENT);
+  const instance = wrapper.instances.get(id).instance;
+  instance.params.speed = 9;
+  instance.timeline = 1200;
+  instance.volume = 0.2;
+  instance.properties[3] = 40;
+  instance.reverbLevels[0] = 1;
+  instance.listenerMask = 2;
+  wrapper.stopEvent(null, id, false, true);
+  wrapper.update();
+
+  assert.equal(instance.valid, true);
+  assert.equal(stats(wrapper).idle, 1);
+  assert.equal(instance.params.speed, 0.5);
+  assert.equal(instance.timeline, 0);
+  assert.equal(instance.volume, 1);
+  assert.equal(instance.properties[3], -1);
+  assert.deepEqual(instance.reverbLevels, [0.5, 0, 0, 0]);
+  assert.equal(instance.listenerMask, 1);
+  assert.deepEqual(instance.attributes.forward, { x: 0, y: 0, z: 1 });
+});
+
+test("reuses idle instances before creating new ones", () => {
+  const { wrapper, description } = createWrapper();
+  wrapper.setInstancePool(EVENT, 2);
+  const recycled = playAndStop(wrapper);
+
+  const id = wrapper.startEvent(EVENT);
+  assert.equal(wrapper.instances.get(id).instance, recycled);
+  assert.equal(description.instances.length, 1);
+  assert.equal(stats(wrapper).reused, 1);
+});
+
+test("keeps instances that are still playing out until they stop", () => {
+  const { wrapper } = createWrapper();
+  wrapper.setInstancePool(EVENT, 2);
+
+  const id = wrapper.startEvent(EVENT);
+  const instance = wrapper.instances.get(id).instance;
+  wrapper.stopEvent(null, id, true, true);
+  wrapper.update();
+  assert.equal(stats(wrapper).returning, 1);
+
+  instance.state = STOPPED;
+  wrapper.update();
+  assert.equal(stats(wrapper).returning, 0);
+  assert.equal(stats(wrapper).idle, 1);
+});
+
+test("releases instances beyond the pool size", () => {
+  const { wrapper } = createWrapper();
+  wrapper.setInstancePool(EVENT, 1);
+
+  const ids = [wrapper.startEvent(EVENT), wrapper.startEvent(EVENT)];
+  const instances = ids.map((id) => wrapper.instances.get(id).instance);
+  wrapper.stopEvent(EVENT, null, false, true);
+  wrapper.update();
+
+  assert.equal(stats(wrapper).idle, 1);
+  assert.equal(stats(wrapper).released, 1);
+  assert.equal(instances.filter((instance) => instance.valid).length, 1);
+});
+
+test("shrinking the pool releases idle instances", () => {
+  const { wrapper, description } = createWrapper();
+  wrapper.eventDescriptions.set(EVENT, description);
+  wrapper.setInstancePool(EVENT, 4, 3);
+
+  wrapper.setInstancePool(EVENT, 1);
+  assert.equal(stats(wrapper).idle, 1);
+  assert.equal(
+    description.instances.filter((instance) => instance.valid).length,
+    1
+  );
+});
+
+test("draining releases returning instances without stopping them", () => {
+  const { wrapper, description } = createWrapper();
+  wrapper.eventDescriptions.set(EVENT, description);
+  wrapper.setInstancePool(EVENT, 2, 1);
+
+  const id = wrapper.startEvent(EVENT, "", false);
+  wrapper.startEvent(EVENT);
+  const returning = wrapper.instances.get(id).instance;
+  wrapper.stopEvent(null, id, true, true);
+  wrapper.update();
+  const stops = returning.stops;
+
+  wrapper.setInstancePool(EVENT, 0);
+  assert.equal(wrapper.instancePools.size, 0);
+  assert.equal(returning.valid, false);
+  assert.equal(returning.stops, stops);
+});
+
+test("releases instances whose playback state can't be read", () => {
+  const { wrapper } = createWrapper();
+  wrapper.setInstancePool(EVENT, 2);
+
+  const id = wrapper.startEvent(EVENT);
+  const instance = wrapper.instances.get(id).instance;
+  wrapper.stopEvent(null, id, true, true);
+  wrapper.update();
+  instance.getPlaybackState = () => 30;
+  wrapper.update();
+
+  assert.equal(instance.valid, false);
+  assert.equal(stats(wrapper).returning, 0);
+  assert.equal(stats(wrapper).released, 1);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTagQuery } from "../src/domside/FMODWrapper.js";
+
+const tag = (name) => ({ type: "tag", tag: name });
+
+test("parses a plain tag and a tag path", () => {
+  assert.deepEqual(parseTagQuery("enemy"), tag("enemy"));
+  assert.deepEqual(parseTagQuery("sfx/ui"), tag("sfx/ui"));
+});
+
+test("an empty selector or * matches everything", () => {
+  assert.deepEqual(parseTagQuery(""), { type: "all" });
+  assert.deepEqual(parseTagQuery("   "), { type: "all" });
+  assert.deepEqual(parseTagQuery("*"), { type: "all" });
+});
+
+test("parses instance IDs", () => {
+  assert.deepEqual(parseTagQuery("#12"), { type: "id", id: 12 });
+});
+
+test("AND binds tighter than OR", () => {
+  assert.deepEqual(parseTagQuery("a | b & c"), {
+    type: "or",
+    left: tag("a"),
+    right: { type: "and", left: tag("b"), right: tag("c") },
+  });
+});
+
+test("adjacent terms are ANDed", () => {
+  assert.deepEqual(parseTagQuery("enemy !boss"), {
+    type: "and",
+    left: tag("enemy"),
+    right: { type: "not", expr: tag("boss") },
+  });
+});
+
+test("parentheses group", () => {
+  assert.deepEqual(parseTagQuery("(a | b) & c"), {
+    type: "and",
+    left: { type: "or", left: tag("a"), right: tag("b") },
+    right: tag("c"),
+  });
+});
+
+test("wildcards compile to anchored patterns", () => {
+  const { type, regex } = parseTagQuery("footstep:*");
+  assert.equal(type, "wildcard");
+  assert.ok(regex.test("footstep:grass"));
+  assert.ok(!regex.test("ui/footstep:grass"));
+
+  const single = parseTagQuery("hit?").regex;
+  assert.ok(single.test("hit1"));
+  assert.ok(!single.test("hit12"));
+});
+
+test("wildcards escape the rest of the word", () => {
+  const { regex } = parseTagQuery("a.b*");
+  assert.ok(regex.test("a.bc"));
+  assert.ok(!regex.test("axbc"));
+});
+
+test("quotes make operators and spaces literal", () => {
+  assert.deepEqual(parseTagQuery('"a&b"'), tag("a&b"));
+  assert.deepEqual(parseTagQuery("'big boss'"), tag("big boss"));
+  assert.deepEqual(parseTagQuery('"#12"'), tag("#12"));
+  assert.deepEqual(parseTagQuery('"*"'), tag("*"));
+});
+
+test("backslashes escape single characters", () => {
+  assert.deepEqual(parseTagQuery("a\\&b"), tag("a&b"));
+  assert.deepEqual(parseTagQuery("a\\ b"), tag("a b"));
+  assert.deepEqual(parseTagQuery("\\(x\\)"), tag("(x)"));
+  assert.deepEqual(parseTagQuery('"say \\"hi\\""'), tag('say "hi"'));
+});
+
+test("escaped wildcards are literal", () => {
+  assert.deepEqual(parseTagQuery("what\\?"), tag("what?"));
+  assert.deepEqual(parseTagQuery('"a*"'), tag("a*"));
+});
+
+test("rejects malformed selectors", () => {
+  for (const selector of ["a &", "(a | b", "a )", "!", "| a", '"open']) {
+    assert.throws(() => parseTagQuery(selector), Error, selector);
+  }
+});
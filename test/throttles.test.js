@@ -0,0 +1,145 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import FMODWrapper from "../src/domside/FMODWrapper.js";
+
+// Throttles read the wrapper clock, which follows the offline render time when set
+function createWrapper() {
+  const wrapper = new FMODWrapper({});
+  wrapper._offlineTime = 0;
+  return wrapper;
+}
+
+const noTags = new Set();
+
+test("a cooldown blocks starts until it has passed", () => {
+  const wrapper = createWrapper();
+  wrapper.setThrottle("event", "event:/shot", 100);
+
+  assert.equal(wrapper._checkThrottles("event:/shot", noTags), true);
+  wrapper._recordStart("event:/shot", noTags);
+
+  wrapper._offlineTime = 99;
+  assert.equal(wrapper._checkThrottles("event:/shot", noTags), false);
+
+  wrapper._offlineTime = 100;
+  assert.equal(wrapper._checkThrottles("event:/shot", noTags), true);
+});
+
+test("a rate limit allows maxStarts per sliding window", () => {
+  const wrapper = createWrapper();
+  wrapper.setThrottle("event", "event:/step", 0, 2, 1000);
+
+  for (const time of [0, 400]) {
+    wrapper._offlineTime = time;
+    assert.equal(wrapper._checkThrottles("event:/step", noTags), true);
+    wrapper._recordStart("event:/step", noTags);
+  }
+
+  wrapper._offlineTime = 999;
+  assert.equal(wrapper._checkThrottles("event:/step", noTags), false);
+
+  // The start at 0 leaves the window
+  wrapper._offlineTime = 1000;
+  assert.equal(wrapper._checkThrottles("event:/step", noTags), true);
+});
+
+test("checking alone does not count a start", () => {
+  const wrapper = createWrapper();
+  wrapper.setThrottle("event", "event:/shot", 100, 1);
+
+  // Starts that fail after the check are never recorded
+  for (let i = 0; i < 3; i++) {
+    assert.equal(wrapper._checkThrottles("event:/shot", noTags), true);
+  }
+  assert.equal(wrapper.getThrottleStats()[0].started, 0);
+});
+
+test("ready-starts waiting for sample data count against throttles", () => {
+  const wrapper = createWrapper();
+  wrapper.setThrottle("event", "event:/shot", 100);
+  wrapper.setThrottle("event", "event:/step", 0, 2);
+
+  const shot = wrapper._reserveStart("event:/shot", noTags);
+  assert.equal(wrapper._checkThrottles("event:/shot", noTags), false);
+
+  const steps = [
+    wrapper._reserveStart("event:/step", noTags),
+    wrapper._reserveStart("event:/step", noTags),
+  ];
+  assert.equal(wrapper._checkThrottles("event:/step", noTags), false);
+
+  // A ready-start that is cancelled gives its place back
+  wrapper._releaseStart(steps[0]);
+  assert.equal(wrapper._checkThrottles("event:/step", noTags), true);
+
+  // One that starts holds the cooldown from its actual start
+  wrapper._offlineTime = 500;
+  wrapper._releaseStart(shot);
+  wrapper._recordStart("event:/shot", noTags);
+  wrapper._offlineTime = 599;
+  assert.equal(wrapper._checkThrottles("event:/shot", noTags), false);
+});
+
+test("tag throttles apply to descendant tags only", () => {
+  const wrapper = createWrapper();
+  wrapper.setThrottle("tag", "sfx/ui", 100);
+  wrapper._recordStart("event:/click", new Set(["sfx/ui/click"]));
+
+  assert.equal(
+    wrapper._checkThrottles("event:/click", new Set(["sfx/ui/hover"])),
+    false
+  );
+  assert.equal(
+    wrapper._checkThrottles("event:/click", new Set(["sfx/uix"])),
+    true
+  );
+  assert.equal(wrapper._checkThrottles("event:/click", noTags), true);
+});
+
+test("counts throttled starts and reports them once per interval", () => {
+  const wrapper = createWrapper();
+  const reports = [];
+  wrapper.onThrottleReport = (report) => reports.push(report);
+  wrapper.throttleReportInterval = 500;
+  wrapper.setThrottle("event", "event:/shot", 100, 1, 1000);
+  wrapper._recordStart("event:/shot", noTags);
+
+  wrapper._offlineTime = 500;
+  wrapper._checkThrottles("event:/shot", noTags);
+  wrapper._offlineTime = 50;
+  wrapper._checkThrottles("event:/shot", noTags);
+  wrapper._offlineTime = 500;
+  wrapper._reportThrottles();
+  wrapper._reportThrottles();
+
+  assert.deepEqual(reports, [
+    {
+      throttled: [
+        {
+          scope: "event",
+          target: "event:/shot",
+          throttled: 2,
+          cooldown: 1,
+          rate: 1,
+          total: 2,
+        },
+      ],
+    },
+  ]);
+  assert.deepEqual(
+    wrapper.getThrottleStats().map(({ started, throttled }) => ({
+      started,
+      throttled,
+    })),
+    [{ started: 1, throttled: 2 }]
+  );
+});
+
+test("a throttle with no cooldown and no rate is removed", () => {
+  const wrapper = createWrapper();
+  wrapper.setThrottle("event", "event:/shot", 100);
+  wrapper.setThrottle("event", "event:/shot", 0, 0);
+
+  assert.equal(wrapper.throttles.size, 0);
+  assert.equal(wrapper._checkThrottles("event:/shot", noTags), true);
+});